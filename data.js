@@ -251,4 +251,46 @@ forts1.forEach(id => add_fort(id));
 const forts2 = [42, 43, 44, 45, 46, 47, 50];
 forts2.forEach(id => add_fort(id));
 
+// --- SEQUENCE OF PLAY ---
+// Steps of a game turn, in order, as shown on the turn and phase track.
+data.sequence_of_play = [
+    { id: "setup", name: "Setup" },
+    { id: "event", name: "Event Phase" },
+    { id: "evacuation", name: "Evacuation Phase" },
+    { id: "reaction", name: "Russian Reaction Phase" },
+    { id: "german_movement", name: "German Movement" },
+    { id: "soviet_movement", name: "Soviet Movement" },
+    { id: "german_combat", name: "German Combat" },
+    { id: "soviet_combat", name: "Soviet Combat" },
+    { id: "end_of_turn", name: "End of Turn" },
+];
+
+// --- SCENARIO DEPLOYMENTS ---
+// Pre-placed deployments, listed by unit class: the n-th space goes to unit n
+// (e.g. ger_561: ["30", ...] puts german_ger_561_1 on point 30).
+data.deployments = {
+    // Germans hold both fort rings with the 5th Panzer in reserve in Königsberg;
+    // the Soviet armies stand in their historical sectors around the city.
+    historical: {
+        ger_561: ["30", "31", "32", "4"],
+        ger_69: ["28", "29", "36", "37"],
+        ger_367: ["25", "26", "20", "24"],
+        ger_56: ["27", "38", "39", "43"],
+        ger_62: ["42", "44", "45", "46"],
+        ger_pz5: ["48", "51", "52"],
+        sov_39: ["2", "2", "2", "5", "5", "5", "6", "6", "6"],
+        sov_43: ["7", "7", "7", "8", "8", "8", "9", "9", "9"],
+        sov_50: ["12", "12", "12", "13", "13", "13", "16", "16", "16"],
+        sov_11: ["21", "21", "21", "23", "23", "23"],
+    },
+};
+
+// --- SCENARIOS ---
+// Scenarios other than the Standard Game start from a deployment.
+// skip_setup: go straight to the Event Phase instead of confirming each side's setup.
+data.scenarios = {
+    "Historical": { deployment: "historical", stance: "Land", skip_setup: false },
+    "Quick Start": { deployment: "historical", stance: "Land", skip_setup: true },
+};
+
 if (typeof module !== 'undefined') module.exports = data;
\ No newline at end of file
@@ -20,6 +20,9 @@ let game = null;
 // This mirrors window.view.selected but is kept locally for immediate feedback if needed.
 let selectedUnitId = null;
 
+// Whether the supply network overlay is shown (toggled from the toolbar menu).
+let showSupplyOverlay = false;
+
 /**
  * Called once when the game page is loaded and the initial state is received.
  * @param {Object} state - The initial game state.
@@ -98,6 +101,8 @@ function render_interface() {
 
     // 2. Draw the game board elements
     render_map_spaces(); // Draw hitboxes for spaces
+    render_supply_overlay(); // Shade the Soviet supply network (if toggled on)
+    render_attack_arrows();  // Arrows for declared attacks
     render_units();      // Draw units on map or in reserves
 
     // 3. Update Status Display
@@ -107,11 +112,17 @@ function render_interface() {
         if (el) el.textContent = "CEF: " + window.view.cef;
     }
 
+    // Turn, phase and event status, and the German cohesion breakdown
+    render_status_panel();
+    render_cohesion_panel();
+    render_attacks_panel();
+
     // 4. Generate Action Buttons
     // These buttons correspond to available actions in window.view.actions
     // The 'action_button' helper is defined in client.js.
     if (window.view.actions) {
         // Setup Phase Actions
+        if (window.view.actions.auto_deploy) action_button("auto_deploy", "Auto Deploy");
         if (window.view.actions.end_setup) action_button("end_setup", "End Setup");
         if (window.view.actions.undo) action_button("undo", "Undo");
 
@@ -127,6 +138,7 @@ function render_interface() {
         if (window.view.actions.roll_reaction) action_button("roll_reaction", "Roll Reaction");
 
         // Movement Phase Actions
+        if (window.view.actions.select_stack) action_button("select_stack", "Select Stack");
         if (window.view.actions.end_movement) action_button("end_movement", "End Movement");
 
         // NOTE: The "Stop Moving" button is intentionally omitted here.
@@ -139,6 +151,7 @@ function render_interface() {
         // Combat Phase Actions
         if (window.view.actions.end_combat_setup) action_button("end_combat_setup", "End Attack Designations");
         if (window.view.actions.roll_combat) action_button("roll_combat", "Roll Combat");
+        if (window.view.actions.occupy) action_button("occupy", "Occupy Empty Point");
         if (window.view.actions.next_attack) action_button("next_attack", "Next Attack");
         if (window.view.actions.end_combat) action_button("end_combat", "End Combat Phase");
 
@@ -152,6 +165,103 @@ function render_interface() {
     }
 }
 
+/**
+ * Renders the turn, phase and event status: a turn and phase track with the
+ * current step of the sequence of play highlighted, the German stance, the
+ * event flags and the stance change attempts used.
+ */
+function render_status_panel() {
+    const panel = document.getElementById("status_panel");
+    if (!panel || window.view.turn === undefined) return;
+
+    let flag = (name, on) => `<div class="${on ? "flag-on" : "flag-off"}">${name}: ${on ? "yes" : "no"}</div>`;
+
+    let turns = "";
+    for (let t = 1; t <= window.view.last_turn; t++) {
+        turns += `<span class="turn-box${t === window.view.turn ? " current" : ""}">${t}</span>`;
+    }
+    let phases = data.sequence_of_play.map(step =>
+        `<li class="${step.id === window.view.phase ? "current" : ""}">${step.name}</li>`).join("");
+
+    panel.innerHTML = [
+        `<div class="panel-title">Turn ${window.view.turn} of ${window.view.last_turn}</div>`,
+        `<div class="turn-track">${turns}</div>`,
+        `<ol class="phase-track">${phases}</ol>`,
+        `<div>Stance: ${window.view.stance || "not chosen"}</div>`,
+        flag("Major Exodus", window.view.major_exodus),
+        flag("Russian Halt", window.view.russian_halt),
+        flag("Major Sinking last turn", window.view.major_sinking_last_turn),
+        `<div>Stance attempts: ${window.view.stance_attempts} / ${window.view.max_stance_attempts}</div>`,
+    ].join("");
+}
+
+/**
+ * Renders the German cohesion breakdown from window.view.german_cohesion:
+ * the current modifier, the fort points held by the Soviets, the enhancement
+ * zones held by the Germans, and a warning whenever one more lost fort point
+ * would trigger a penalty.
+ */
+function render_cohesion_panel() {
+    const panel = document.getElementById("cohesion_panel");
+    const status = window.view.german_cohesion;
+    if (!panel || !status) return;
+
+    let list = points => points.length > 0 ? points.join(", ") : "none";
+    let modifier;
+    if (status.modifier === "ZERO") modifier = "0 (inner forts lost)";
+    else if (status.modifier > 0) modifier = "+" + status.modifier;
+    else modifier = String(status.modifier);
+
+    let rows = [
+        `<div class="panel-title">German Cohesion: ${modifier}</div>`,
+        `<div>Outer forts lost: ${list(status.outer_lost)} <i>(2 = -1)</i></div>`,
+        `<div>Inner forts lost: ${list(status.inner_lost)} <i>(2 = cohesion 0)</i></div>`,
+        `<div>Points 1-6 all German: ${status.enhance_1 ? "yes" : "no"}</div>`,
+        `<div>Points 21-24 all German: ${status.enhance_2 ? "yes" : "no"} <i>(either = +1)</i></div>`,
+    ];
+    if (status.inner_lost.length === 1)
+        rows.push(`<div class="warning">One more inner fort lost drops German cohesion to 0.</div>`);
+    if (status.outer_lost.length === 1 && status.inner_lost.length < 2)
+        rows.push(`<div class="warning">One more outer fort lost gives German cohesion -1.</div>`);
+
+    panel.innerHTML = rows.join("");
+}
+
+/**
+ * Renders the designated attacks (window.view.attacks) as a list. During
+ * attack designation each of the player's own attacks has a button to retract it.
+ */
+function render_attacks_panel() {
+    const panel = document.getElementById("attacks_panel");
+    if (!panel) return;
+
+    let attacks = window.view.attacks || [];
+    panel.replaceChildren();
+    panel.style.display = attacks.length > 0 ? "block" : "none";
+    if (attacks.length === 0) return;
+
+    let title = document.createElement("div");
+    title.className = "panel-title";
+    title.textContent = "Designated Attacks";
+    panel.appendChild(title);
+
+    let cancellable = (window.view.actions && window.view.actions.cancel_attack) || [];
+    attacks.forEach(a => {
+        let attacker = data.units.find(u => u.id === a.attacker);
+        let target = data.units.find(u => u.id === a.target);
+        let row = document.createElement("div");
+        row.className = `attack-row ${a.status}`;
+        row.textContent = `${attacker.name} (${a.source}) → ${target ? target.name : "point"} (${a.targetSpace})`;
+        if (cancellable.includes(a.attacker)) {
+            let button = document.createElement("button");
+            button.textContent = "Cancel";
+            button.addEventListener("click", () => send_action('cancel_attack', a.attacker));
+            row.appendChild(button);
+        }
+        panel.appendChild(row);
+    });
+}
+
 /**
  * Renders the interactive spaces on the map.
  * Creates hitboxes for movement, placement, and stance selection.
@@ -162,6 +272,8 @@ function render_map_spaces() {
 
     // Remove existing hitboxes to prevent duplicates
     map.querySelectorAll('.space-hitbox').forEach(e => e.remove());
+    // Removing a hovered hitbox fires no 'mouseleave', so clear its path preview too
+    draw_move_path(null);
 
     data.spaces.forEach(space => {
         if (space.x !== undefined) {
@@ -189,6 +301,13 @@ function render_map_spaces() {
                 el.style.border = "2px solid lime";
                 el.style.cursor = "pointer";
 
+                // Movement range: shade by distance (1, 2 or 3 points away)
+                if (window.view.move_paths && window.view.move_paths[space.id]) {
+                    let distance = window.view.move_paths[space.id].length;
+                    el.style.backgroundColor = `rgba(0, 255, 0, ${0.5 - distance * 0.12})`;
+                    el.title = `${space.name} (${space.id}): ${distance} move${distance === 1 ? "" : "s"}`;
+                }
+
                 // Specific style for Advance Destination
                 if (window.view.advance_space === space.id) {
                     el.style.backgroundColor = "rgba(255, 215, 0, 0.4)"; // Gold
@@ -201,6 +320,14 @@ function render_map_spaces() {
                 }
             }
 
+            // Enemy points the advancing units newly threaten (fort ring points stand out)
+            let threat = (window.view.advance_threats || []).find(t => t.space === space.id);
+            if (threat) {
+                el.classList.add("advance-threat");
+                if (threat.ring) el.classList.add(threat.ring + "-ring");
+                el.title = `${space.name} (${space.id}): threatened by the advance` + (threat.ring ? ` (${threat.ring} fort ring)` : "");
+            }
+
             // Highlight overstacked spaces (for elimination phase)
             if (window.view.overstacked && window.view.overstacked.includes(space.id)) {
                 el.style.backgroundColor = "rgba(243, 247, 9, 0.3)";
@@ -211,7 +338,14 @@ function render_map_spaces() {
             // Position the hitbox
             el.style.left = space.x + "px";
             el.style.top = space.y + "px";
-            el.title = `${space.name} (${space.id})`;
+            if (!el.title) el.title = `${space.name} (${space.id})`;
+
+            // Preview the cheapest path while hovering a move or retreat destination
+            if ((window.view.move_paths && window.view.move_paths[space.id]) ||
+                (window.view.retreat_paths && window.view.retreat_paths[space.id])) {
+                el.addEventListener("mouseenter", () => draw_move_path(space.id));
+                el.addEventListener("mouseleave", () => draw_move_path(null));
+            }
 
             // Bind click event
             el.addEventListener("click", () => on_space_click(space.id));
@@ -220,6 +354,139 @@ function render_map_spaces() {
     });
 }
 
+/**
+ * Toggles the supply network overlay.
+ */
+function toggle_supply_overlay() {
+    showSupplyOverlay = !showSupplyOverlay;
+    render_interface();
+}
+
+/**
+ * Renders the Soviet supply network from window.view.supply:
+ * - Points that can trace supply to a free set up point (2-24) are shaded blue.
+ * - Set up points held by the Germans are crossed out.
+ * - Cut-off pockets are shaded red, ringed by the German-held points that seal them.
+ * The overlay is redrawn after every action, so each move shows its effect at once.
+ */
+function render_supply_overlay() {
+    const map = document.getElementById("map");
+    if (!map) return;
+
+    map.querySelectorAll('.supply-mark').forEach(e => e.remove());
+    if (!showSupplyOverlay || !window.view.supply) return;
+
+    let marks = {};
+    let add_mark = (spaceId, className, title) => {
+        let space = data.spaces.find(s => s.id === spaceId);
+        if (!space) return;
+        if (!marks[spaceId]) {
+            let el = document.createElement("div");
+            el.className = "supply-mark";
+            el.style.left = space.x + "px";
+            el.style.top = space.y + "px";
+            el.title = "";
+            map.appendChild(el);
+            marks[spaceId] = el;
+        }
+        marks[spaceId].classList.add(className);
+        marks[spaceId].title += (marks[spaceId].title ? "\n" : "") + title;
+    };
+
+    let supply = window.view.supply;
+    supply.reachable.forEach(id => add_mark(id, "supply-reachable", "In supply"));
+    supply.blocked.forEach(id => add_mark(id, "supply-blocked", "Set up point blocked by Germans"));
+    supply.pockets.forEach(pocket => {
+        let where = pocket.points.join(", ");
+        pocket.points.forEach(id => add_mark(id, "supply-pocket", `Cut off (pocket ${where})`));
+        pocket.cut_by.forEach(id => add_mark(id, "supply-cut", `Cuts supply to pocket ${where}`));
+    });
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Returns the SVG layer for attack arrows and move paths, creating it on first use.
+ */
+function get_svg_layer(map) {
+    let svg = document.getElementById("map_svg");
+    if (svg) return svg;
+
+    svg = document.createElementNS(SVG_NS, "svg");
+    svg.id = "map_svg";
+    svg.setAttribute("width", map.offsetWidth || 1778);
+    svg.setAttribute("height", map.offsetHeight || 1378);
+    svg.innerHTML = `<defs>
+        <marker id="arrow_head" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="4" markerHeight="4" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke"/>
+        </marker>
+    </defs>`;
+    map.appendChild(svg);
+    return svg;
+}
+
+/**
+ * Draws an arrow from each attack's source point to its target point
+ * (window.view.attacks). The arrow's class follows the attack's status, so the
+ * battle being resolved stands out and finished or dropped attacks fade.
+ */
+function render_attack_arrows() {
+    const map = document.getElementById("map");
+    if (!map) return;
+
+    let svg = get_svg_layer(map);
+    svg.querySelectorAll(".attack-arrow").forEach(e => e.remove());
+
+    (window.view.attacks || []).forEach(a => {
+        let from = data.spaces.find(s => s.id === a.source);
+        let to = data.spaces.find(s => s.id === a.targetSpace);
+        if (!from || !to) return;
+
+        // Stop short of the counters at both ends
+        let dx = to.x - from.x;
+        let dy = to.y - from.y;
+        let len = Math.hypot(dx, dy) || 1;
+        let gap = Math.min(45, len / 3);
+
+        let line = document.createElementNS(SVG_NS, "line");
+        line.setAttribute("x1", from.x + dx * gap / len);
+        line.setAttribute("y1", from.y + dy * gap / len);
+        line.setAttribute("x2", to.x - dx * gap / len);
+        line.setAttribute("y2", to.y - dy * gap / len);
+        line.setAttribute("marker-end", "url(#arrow_head)");
+        line.setAttribute("class", `attack-arrow ${a.status}`);
+        svg.appendChild(line);
+    });
+}
+
+/**
+ * Draws the path the selected (or retreating) unit or stack takes to a destination (null clears it).
+ * Clicking the destination sends a single 'move' or 'retreat'; the server re-checks every step.
+ */
+function draw_move_path(spaceId) {
+    const map = document.getElementById("map");
+    if (!map) return;
+
+    let svg = get_svg_layer(map);
+    svg.querySelectorAll(".move-path").forEach(e => e.remove());
+    if (!spaceId) return;
+
+    let unit = window.view.retreat_paths ? window.view.retreat_unit : window.view.selected;
+    let paths = window.view.retreat_paths || window.view.move_paths;
+    if (!paths || !paths[spaceId]) return;
+
+    let points = [window.view.pieces[unit], ...paths[spaceId]]
+        .map(id => data.spaces.find(s => s.id === id))
+        .filter(s => s)
+        .map(s => `${s.x},${s.y}`);
+
+    let line = document.createElementNS(SVG_NS, "polyline");
+    line.setAttribute("points", points.join(" "));
+    line.setAttribute("class", "move-path");
+    line.setAttribute("marker-end", "url(#arrow_head)");
+    svg.appendChild(line);
+}
+
 /**
  * Renders all units, either on the map or in their respective reserve boxes.
  */
@@ -249,8 +516,10 @@ function render_units() {
             el.id = u.id;
             el.className = `unit ${u.side} ${u.class}`;
 
-            // Highlight selected unit
+            // Highlight selected unit (and the rest of a selected stack)
             if (window.view.selected === u.id) el.classList.add("selected");
+            if (window.view.group && window.view.group.includes(u.id)) el.classList.add("selected");
+            if (window.view.retreat_group && window.view.retreat_group.includes(u.id)) el.classList.add("selected");
 
             // Highlight OOS unit
             if (window.view.out_of_supply && window.view.out_of_supply.includes(u.id)) {
@@ -270,6 +539,12 @@ function render_units() {
                 el.style.cursor = "pointer";
                 el.style.outline = "2px solid red"; // Visual cue for enemy/target
             }
+            // Highlight units that may take a hit (defender's choice in a battle)
+            if (window.view.actions && window.view.actions.absorb && window.view.actions.absorb.includes(u.id)) {
+                el.classList.add("action");
+                el.style.cursor = "pointer";
+                el.style.outline = "2px solid orange";
+            }
             if (window.view.selected === u.id) {
                 el.style.cursor = "pointer";
             }
@@ -305,6 +580,11 @@ function render_units() {
                 el.innerHTML = `<div class="name">${u.name}</div>`;
             }
 
+            // Combat odds for the selected attacker against this target (shown on hover)
+            if (window.view.target_odds && window.view.target_odds[u.id]) {
+                el.appendChild(make_odds_tip(window.view.target_odds[u.id]));
+            }
+
             // Place unit on Map or in Reserve
             if (currentSpace) {
                 // Unit is on the map (or a track)
@@ -354,6 +634,25 @@ function render_units() {
     }
 }
 
+/**
+ * Builds the hover box with an attack's outcome odds (counted out of 36).
+ * @param {Object} odds - { taker, miss, saved, retreat, eliminated } from the view.
+ */
+function make_odds_tip(odds) {
+    let pct = n => Math.round(n * 100 / 36) + "%";
+    let tip = document.createElement("div");
+    tip.className = "odds-tip";
+    let taker = data.units.find(u => u.id === odds.taker);
+    let rows = [
+        ["Miss", odds.miss],
+        ["Saved", odds.saved],
+        ["Retreat", odds.retreat],
+        ["Eliminated", odds.eliminated],
+    ].map(([name, n]) => `<div>${name}: ${pct(n)}</div>`).join("");
+    tip.innerHTML = `<div class="odds-title">Hit taken by ${taker.name}</div>${rows}`;
+    return tip;
+}
+
 /**
  * Handles clicks on units.
  * Logic depends on the current state and available actions.
@@ -365,13 +664,19 @@ function on_unit_click(unitId) {
         // If 'stop' action is available (unit has moved at least once), this click stops movement.
         if (window.view.actions.stop) {
             send_action('stop');
-        } else {
+        } else if (window.view.actions.deselect) {
             // Otherwise, just deselect it.
             send_action('deselect');
         }
         return;
     }
 
+    // Clicking another member of a selected stack takes it out of the stack
+    if (window.view.actions.drop_from_stack && window.view.actions.drop_from_stack.includes(unitId)) {
+        send_action('drop_from_stack', unitId);
+        return;
+    }
+
     // Case 2: Clicking a DIFFERENT unit
     if (window.view.pieces[unitId]) {
         // Target Action (Combat)
@@ -380,8 +685,14 @@ function on_unit_click(unitId) {
             return;
         }
 
-        // If we are in elimination mode or just selecting a unit to move/setup
-        if (window.view.actions.eliminate || window.view.actions.select) {
+        // Absorb Action (Defender assigns a battle hit)
+        if (window.view.actions.absorb && window.view.actions.absorb.includes(unitId)) {
+            send_action('absorb', unitId);
+            return;
+        }
+
+        // Selecting a unit to move, set up, attack with or eliminate
+        if (window.view.actions.select && window.view.actions.select.includes(unitId)) {
             send_action('select', unitId);
             return;
         }
@@ -395,6 +706,11 @@ function on_unit_click(unitId) {
             send_action('move', targetSpace);
             return;
         }
+        // Check if the unit's space is a valid retreat destination
+        if (window.view.actions.retreat && window.view.actions.retreat.includes(targetSpace)) {
+            send_action('retreat', targetSpace);
+            return;
+        }
         // Check if the unit's space is a valid placement destination
         if (window.view.actions.place && window.view.actions.place.includes(targetSpace)) {
             send_action('place', targetSpace);
@@ -402,8 +718,10 @@ function on_unit_click(unitId) {
         }
     }
 
-    // Default: Try to select the unit
-    send_action('select', unitId);
+    // Default: Select the unit (e.g. an unplaced unit in a reserve box), if offered
+    if (window.view.actions.select && window.view.actions.select.includes(unitId)) {
+        send_action('select', unitId);
+    }
 }
 
 /**
@@ -426,8 +744,15 @@ function on_space_click(spaceId) {
         send_action('target', spaceId);
         return;
     }
-    // Case 4: Placing a unit during setup
-    send_action('place', spaceId);
+    // Case 4: Retreating the defending unit (or stack) to this space
+    if (window.view.actions && window.view.actions.retreat && window.view.actions.retreat.includes(spaceId)) {
+        send_action('retreat', spaceId);
+        return;
+    }
+    // Case 5: Placing a unit during setup
+    if (window.view.actions && window.view.actions.place && window.view.actions.place.includes(spaceId)) {
+        send_action('place', spaceId);
+    }
 }
 
 // Global keyboard shortcuts
@@ -14,7 +14,7 @@
 
 const data = require("./data.js");
 
-exports.scenarios = ["Standard Game"];
+exports.scenarios = ["Standard Game", ...Object.keys(data.scenarios)];
 exports.roles = ["Soviet", "German"];
 
 // --- CONSTANTS FOR MORALE RULES ---
@@ -25,6 +25,55 @@ const ENHANCE_POINTS_2 = [21, 22, 23, 24];
 const SPACES_ALL = Array.from({ length: 52 }, (_, i) => i + 1); // 1-52
 const SOVIET_SETUP_POINTS = Array.from({ length: 23 }, (_, i) => i + 2); // 2-24
 const KONIGSBERG_POINTS = [48, 49, 50, 51, 52];
+const MOVEMENT_POINTS = 3; // Per unit, per Movement Phase
+const STACKING_LIMIT = 3;  // Units per point (Forts and Chits excluded)
+
+// --- CONSTANTS FOR GAME LENGTH AND VICTORY ---
+const LAST_TURN = 8;
+// CEF levels for final scoring, highest first.
+// A German Decisive Victory also ends the game early at the end of any turn.
+const CEF_VICTORY_LEVELS = [
+    { cef: 45, result: "German", victory: "German Decisive Victory" },
+    { cef: 35, result: "German", victory: "German Marginal Victory" },
+    { cef: 25, result: "Draw", victory: "Draw" },
+    { cef: 0, result: "Soviet", victory: "Soviet Victory (Evacuation Failed)" },
+];
+
+// --- GAME OPTIONS ---
+// Optional and variant rules offered in the lobby (see create.html).
+// Checkbox options are on when set; select options name one of their values.
+const OPTIONS = {
+    no_undo: { name: "No undo" },
+    short_game: { name: "Short game (6 turns)" },
+    forts: {
+        name: "Forts",
+        values: {
+            standard: "Standard (15 forts)",
+            reduced: "Reduced (outer ring and 50)",
+            outer_only: "Outer ring only",
+        },
+    },
+    historical_sectors: { name: "Historical Soviet army sectors" },
+};
+
+const SHORT_GAME_LAST_TURN = 6;
+
+const MAX_STANCE_ATTEMPTS = 3; // Stance change attempts per game
+
+// Fort points kept by each "forts" option value.
+const FORT_VARIANTS = {
+    standard: [25, 26, 27, 28, 29, 30, 31, 32, 42, 43, 44, 45, 46, 47, 50],
+    reduced: [25, 26, 27, 28, 29, 30, 31, 32, 50],
+    outer_only: [25, 26, 27, 28, 29, 30, 31, 32],
+};
+
+// Setup points for each Soviet army under the "historical_sectors" option.
+const HISTORICAL_SECTORS = {
+    "39": [2, 3, 4, 5, 6],
+    "43": [7, 8, 9, 10],
+    "50": [11, 12, 13, 14, 15, 16],
+    "11": [17, 18, 19, 20, 21, 22, 23, 24],
+};
 
 // --- ADJACENCY GRAPH ---
 // Build a bi-directional adjacency list from the 'ways' defined in data.js.
@@ -52,14 +101,87 @@ if (data.ways) {
     });
 }
 
+// --- BOARD INDEX ---
+
+// Unit definitions by id, and their position in data.units.
+const UNITS = {};
+const UNIT_ORDER = {};
+data.units.forEach((u, i) => {
+    UNITS[u.id] = u;
+    UNIT_ORDER[u.id] = i;
+});
+
+// Occupancy index: spaceId -> unit objects, in data.units order.
+// It is derived from game.pieces and never stored in the game state; it is
+// cached per pieces object and kept current by set_piece. Undo and every new
+// request bring a fresh pieces object, which simply gets a fresh index.
+const board_cache = new WeakMap();
+
+/**
+ * Returns the occupancy index for the current position.
+ * @param {Object} game - Current game state.
+ * @returns {Object} Map: spaceId -> Array of unit objects.
+ */
+function get_board(game) {
+    let board = board_cache.get(game.pieces);
+    if (!board) {
+        board = {};
+        for (let uid in game.pieces) {
+            let space = game.pieces[uid];
+            if (space && UNITS[uid]) (board[space] = board[space] || []).push(UNITS[uid]);
+        }
+        board_cache.set(game.pieces, board);
+    }
+    return board;
+}
+
+/**
+ * Moves a piece (or removes it with null). All writes to game.pieces go
+ * through here so that the occupancy index stays in sync.
+ */
+function set_piece(game, uid, space) {
+    let board = board_cache.get(game.pieces);
+    if (board) {
+        let old = game.pieces[uid];
+        if (old) board[old] = board[old].filter(u => u.id !== uid);
+        if (space) {
+            let list = board[space] = board[space] || [];
+            list.push(UNITS[uid]);
+            list.sort((a, b) => UNIT_ORDER[a.id] - UNIT_ORDER[b.id]);
+        }
+    }
+    game.pieces[uid] = space;
+}
+
+// --- RANDOM NUMBERS ---
+
+/**
+ * Draws a number in [0, range) from the game's seeded generator.
+ * The generator state lives in game.seed, so replaying the same actions
+ * from the same seed reproduces the same dice.
+ */
+function random(game, range) {
+    // An MLCG: the product stays below 2^53, so double arithmetic is exact
+    game.seed = game.seed * 200105 % 34359738337;
+    return game.seed % range;
+}
+
+/**
+ * Rolls a single six-sided die.
+ */
+function roll_d6(game) {
+    return random(game, 6) + 1;
+}
+
 /**
  * Initializes the game state.
  * @param {number} seed - Random seed for the game.
  * @param {string} scenario - Selected scenario name.
- * @param {Object} options - Game options.
+ * @param {Object} options - Game options (see OPTIONS).
  * @returns {Object} The initial game state.
  */
 exports.setup = function (seed, scenario, options) {
+    options = options || {};
     let game = {
         seed: seed,
         scenario: scenario,
@@ -74,7 +196,7 @@ exports.setup = function (seed, scenario, options) {
 
         // Combat State
         attacks: [],   // List of declared attacks {attacker, target, source, type}
-        battles: [],   // List of unresolved battles (grouped attacks)
+        battles: [],   // Battles of the current combat (attacks grouped by target point)
         combat_log: [],
         combat_last_active: null, // Stores active player during defensive retreats
 
@@ -89,11 +211,22 @@ exports.setup = function (seed, scenario, options) {
         sea_cef_this_turn: 0,
         major_sinking_last_turn: false,
 
+        // Game End
+        result: null,  // "German", "Soviet" or "Draw"
+        victory: null, // Victory level description
+
+        // Supply State (Soviet)
+        supply: {
+            oos: [],     // Soviet unit ids currently out of supply
+            history: [], // Changes: {turn, state, out: [ids], restored: [ids]}
+        },
+
         // Unit State
         selected: null, // Currently selected unit ID (server-side tracking)
+        group: null,    // Units selected together as a stack (lead first), or null
         pieces: {},     // Map: unitId -> spaceId (or null if off-map)
         moved: {},      // Map: unitId -> movement points used this turn
-        stance_attempts: 0, // Track number of stance change attempts (max 3)
+        stance_attempts: 0, // Track number of stance change attempts (max MAX_STANCE_ATTEMPTS)
         stance_attempt_this_turn: false, // Track if attempted this turn
     };
 
@@ -102,13 +235,29 @@ exports.setup = function (seed, scenario, options) {
         game.pieces[u.id] = u.space || null;
     });
 
+    // Fort variants: forts not in the variant start off-map
+    let forts = FORT_VARIANTS[get_option(game, "forts", "standard")];
+    data.units.forEach(u => {
+        if (u.type === 'fort' && !forts.includes(Number(u.space))) {
+            set_piece(game, u.id, null);
+        }
+    });
 
+    log_options(game);
+
+    if (data.scenarios[scenario]) {
+        setup_scenario(game, data.scenarios[scenario]);
+    }
+    update_supply(game);
 
     return game;
 };
 
 // Helper for Advance Logic
-function check_advance_after_combat(game, spaceId) {
+// 'unopposed' marks an attack on an empty point (only the log differs). Zone of control
+// never bars the advance: it only stops movement after entering a point, and advancing
+// is a single step into the adjacent vacated point.
+function check_advance_after_combat(game, spaceId, unopposed) {
     // Check if space is vacated
     let occupants = get_units_in_space(game, spaceId);
     // Ignore chits/markers if any (but 'chit' is a unit type). 
@@ -129,9 +278,10 @@ function check_advance_after_combat(game, spaceId) {
             // Check if attacker is still adjacent (didn't retreat/move)
             let currentSource = game.pieces[a.attacker];
             let neighbors = adj[String(spaceId)] || [];
-            if (currentSource && neighbors.includes(currentSource)) {
-                candidates.push(a.attacker);
-            }
+            if (!currentSource || !neighbors.includes(currentSource)) return;
+            // Out of supply Soviet units cannot advance, as they cannot move
+            if (UNITS[a.attacker].side === "soviet" && is_out_of_supply(game, a.attacker)) return;
+            candidates.push(a.attacker);
         }
     });
 
@@ -140,155 +290,429 @@ function check_advance_after_combat(game, spaceId) {
         game.advance_space = spaceId;
         game.advance_candidates = candidates;
     } else {
+        if (unopposed) game.log.push(">No unit can advance.");
         game.state = "combat_resolve";
         game.combat_index++;
     }
 }
 
-// --- HELPER FUNCTIONS ---
+/**
+ * Checks whether an advance candidate can still enter the vacated point:
+ * it has not advanced yet and, for the Soviets, does not mix armies with
+ * the units already there.
+ */
+function can_advance(game, unitId) {
+    if (!game.advance_candidates.includes(unitId)) return false;
+    if (game.pieces[unitId] === game.advance_space) return false;
+    return !is_army_mixing(game, UNITS[unitId], game.advance_space);
+}
 
 /**
- * Checks if a space is occupied by enemy units.
+ * Lists the enemy points the advancing units newly threaten from the vacated
+ * point: adjacent to it, but not to any point the attacks came from.
+ * @param {Object} game - Current game state (in combat_advance).
+ * @returns {Array<Object>} [{ space, ring }], ring being "outer", "inner" or null.
+ */
+function get_advance_threats(game) {
+    let side = UNITS[game.advance_candidates[0]].side;
+    let sources = game.attacks.filter(a => a.targetSpace === game.advance_space).map(a => a.source);
+    return (adj[game.advance_space] || [])
+        .filter(p => is_enemy_occupied(game, p, side))
+        .filter(p => !sources.some(src => src === p || (adj[src] || []).includes(p)))
+        .sort((a, b) => Number(a) - Number(b))
+        .map(p => ({
+            space: p,
+            ring: OUTER_FORT_POINTS.includes(Number(p)) ? "outer" : INNER_FORT_POINTS.includes(Number(p)) ? "inner" : null,
+        }));
+}
+
+/**
+ * Applies a predefined scenario: pre-placed units and the starting stance.
+ * @param {Object} game - The new game state.
+ * @param {Object} info - Entry of data.scenarios.
+ */
+function setup_scenario(game, info) {
+    let deployment = data.deployments[info.deployment];
+    for (let className in deployment) {
+        deployment[className].forEach((space, i) => {
+            let unit = data.units.find(u => u.class === className && u.unit === i + 1);
+            set_piece(game, unit.id, space);
+        });
+    }
+
+    game.stance = info.stance;
+    set_piece(game, "marker_stance", (info.stance === "Land") ? "track_land" : "track_naval");
+
+    if (info.skip_setup) {
+        game.state = "event_phase";
+        game.active = "German";
+        game.log.push(`${game.scenario}: units deployed, ${info.stance} stance. Setup skipped.`);
+    } else {
+        game.log.push(`${game.scenario}: units deployed, ${info.stance} stance. Confirm each side's setup.`);
+    }
+}
+
+// --- SETUP HELPERS ---
+
+/**
+ * Lists the units of a side that are not yet on the map.
  * @param {Object} game - Current game state.
- * @param {string} spaceId - Space to check.
- * @param {string} friendlySide - The side checking (to identify enemies).
- * @returns {boolean} True if enemy units are present.
+ * @param {string} side - "german" or "soviet".
+ * @returns {Array<string>} Unit ids.
  */
-function is_enemy_occupied(game, spaceId, friendlySide) {
-    for (let uid in game.pieces) {
-        if (game.pieces[uid] === String(spaceId)) {
-            let unit = data.units.find(u => u.id === uid);
-            if (unit.side !== "neutral" && unit.side !== friendlySide) {
-                return true;
-            }
+function get_unplaced_units(game, side) {
+    return data.units
+        .filter(u => game.pieces[u.id] === null && u.side === side && u.type !== 'fort' && u.type !== 'chit')
+        .map(u => u.id);
+}
+
+/**
+ * Lists the points where a unit may be set up.
+ * Germans: points 1-4, 20 and 24-52. Soviets: points 2-24, never with Germans
+ * or another army. Both sides respect the stacking limit.
+ * @param {Object} game - Current game state.
+ * @param {string} unitId - Unit being placed.
+ * @returns {Array<string>} Space ids.
+ */
+function list_valid_spaces_setup(game, unitId) {
+    let list = [];
+    let unit = UNITS[unitId];
+    data.spaces.forEach(space => {
+        let s = parseInt(space.id);
+        if (isNaN(s)) return;
+
+        // Check stacking limit
+        let unitsInSpace = get_units_in_space(game, space.id);
+        if (count_stacked_units(game, space.id) >= STACKING_LIMIT) return;
+
+        // Faction-specific setup zones
+        if (unit.side === "german") {
+            let valid = (s >= 1 && s <= 4) || s === 20 || (s >= 24 && s <= 52);
+            if (!valid) return;
         }
-    }
+        else if (unit.side === "soviet") {
+            let valid = (s >= 2 && s <= 24);
+            if (!valid) return;
+
+            // Cannot setup with enemies
+            let hasGerman = unitsInSpace.some(u => u.side === "german");
+            if (hasGerman) return;
+
+            // Cannot mix armies
+            let differentArmy = unitsInSpace.find(u => u.side === "soviet" && u.army !== unit.army);
+            if (differentArmy) return;
+
+            // Optional: each army sets up in its historical sector
+            if (has_option(game, "historical_sectors") && !HISTORICAL_SECTORS[unit.army].includes(s)) return;
+        }
+        list.push(space.id);
+    });
+    return list;
 }
 
 /**
- * Checks if a set of spaces are ALL occupied by a specific side.
- * @param {Object} game
- * @param {Array} spaces - List of space IDs (or numbers).
+ * Scores a setup point for auto-deployment (lower is better).
+ * Germans man the forts first, one unit each, then double up on them.
+ * Soviets complete stacks of their own army, then open new points on the
+ * front line next to the Germans, preferably beside their own army.
+ */
+function score_setup_space(game, unit, spaceId) {
+    let units = get_units_in_space(game, spaceId);
+    let count = count_stacked_units(game, spaceId);
+    if (unit.side === "german") {
+        let hasFort = units.some(u => u.type === 'fort');
+        return count + (hasFort ? 0 : 2);
+    }
+    if (count > 0) return -count;
+    let score = 4;
+    if (adj[spaceId].some(n => get_units_in_space(game, n).some(u => u.side === "german"))) score -= 2;
+    if (adj[spaceId].some(n => get_units_in_space(game, n).some(u => u.army === unit.army && u.side === "soviet"))) score -= 1;
+    return score;
+}
+
+/**
+ * Places every unplaced unit of a side on a legal setup point.
+ * Ties go to the lowest-numbered point, so the result is deterministic.
+ * @param {Object} game - Current game state.
  * @param {string} side - "german" or "soviet".
  */
-function is_fully_occupied_by(game, spaces, side) {
-    let targetSide = side.toLowerCase();
-    for (let sp of spaces) {
-        let occupied = false;
-        let sStr = String(sp);
-        for (let uid in game.pieces) {
-            if (game.pieces[uid] === sStr) {
-                let u = data.units.find(x => x.id === uid);
-                if (u && u.side.toLowerCase() === targetSide) {
-                    occupied = true;
-                    break;
-                }
+function auto_deploy(game, side) {
+    let placed = 0;
+    let unplaced = get_unplaced_units(game, side);
+    unplaced.forEach(uid => {
+        let unit = UNITS[uid];
+        let best = null;
+        let bestScore = Infinity;
+        list_valid_spaces_setup(game, uid).forEach(sid => {
+            let score = score_setup_space(game, unit, sid);
+            if (score < bestScore) {
+                best = sid;
+                bestScore = score;
             }
+        });
+        if (best) {
+            set_piece(game, uid, best);
+            placed++;
         }
-        if (!occupied) return false;
+    });
+
+    let name = (side === "german") ? "German" : "Soviet";
+    game.log.push(`${name} auto-deploys ${placed} units.`);
+    if (placed < unplaced.length) {
+        game.log.push(`>${unplaced.length - placed} units have no legal setup point.`);
     }
-    return true;
 }
 
+// --- OPTION HELPERS ---
+
 /**
- * Checks Russian Supply status.
- * Returns a list of Soviet unit IDs that are OUT OF SUPPLY.
- * 
- * Rules:
- * A point is out of supply if it cannot trace a supply line along a line of
- * adjacent, empty or Russian occupied points back to any empty or Russian occupied set up point (2-24).
+ * Checks if a checkbox option is on.
  */
-function get_out_of_supply_units(game) {
-    let oos = [];
-    let soviets = data.units.filter(u => u.side === "soviet" && game.pieces[u.id]);
+function has_option(game, name) {
+    let value = game.options && game.options[name];
+    return !!value && value !== "false";
+}
 
-    if (soviets.length === 0) return [];
+/**
+ * Reads a select option, falling back to its default value.
+ */
+function get_option(game, name, fallback) {
+    let value = game.options && game.options[name];
+    if (value && OPTIONS[name].values[value]) return value;
+    return fallback;
+}
 
-    // 1. Identify valid "source" points (Setup points 2-24 that are NOT German occupied)
-    let sources = [];
-    // Setup points are 2 to 24 inclusive.
-    for (let i = 2; i <= 24; i++) {
-        // Condition: Empty or Russian occupied.
-        // Equivalent to: NOT German occupied.
-        if (!is_enemy_occupied(game, i, "soviet")) {
-            sources.push(String(i));
+/**
+ * Echoes the chosen options into the log at game start.
+ */
+function log_options(game) {
+    for (let name in OPTIONS) {
+        let option = OPTIONS[name];
+        if (option.values) {
+            let value = get_option(game, name, null);
+            if (value) game.log.push(`Option: ${option.name}: ${option.values[value]}.`);
+        } else if (has_option(game, name)) {
+            game.log.push(`Option: ${option.name}.`);
         }
     }
+}
 
-    if (sources.length === 0) {
-        // No valid supply sources! All Soviet units on map are OOS.
-        return soviets.map(u => u.id);
-    }
+/**
+ * The last turn of the game (shortened by the "short_game" option).
+ */
+function get_last_turn(game) {
+    return has_option(game, "short_game") ? SHORT_GAME_LAST_TURN : LAST_TURN;
+}
 
-    // 2. Perform BFS from sources to find all reachable points
-    let reachable = new Set(sources);
-    let queue = [...sources];
+// --- HELPER FUNCTIONS ---
 
-    while (queue.length > 0) {
-        let current = queue.shift();
-        let neighbors = adj[current] || [];
-
-        for (let next of neighbors) {
-            if (!reachable.has(next)) {
-                // Check if traversable: "adjacent, empty or Russian occupied points"
-                // Condition: NOT German occupied.
-                if (!is_enemy_occupied(game, next, "soviet")) {
-                    reachable.add(next);
-                    queue.push(next);
-                }
-            }
-        }
-    }
+/**
+ * CEF needed for a victory level.
+ * Thresholds scale with the number of turns when the game is shortened.
+ */
+function get_cef_threshold(game, level) {
+    return Math.round(level.cef * get_last_turn(game) / LAST_TURN);
+}
 
-    // 3. Mark units NOT in reachable set
-    for (let unit of soviets) {
-        let space = game.pieces[unit.id];
-        if (!reachable.has(space)) {
-            oos.push(unit.id);
-        }
+/**
+ * Finds the victory level matching a CEF total.
+ */
+function get_cef_victory_level(game, cef) {
+    return CEF_VICTORY_LEVELS.find(level => cef >= get_cef_threshold(game, level));
+}
+
+/**
+ * Maps the game state to its step of the sequence of play (data.sequence_of_play).
+ * Combat states belong to the attacking side's Combat step.
+ * @param {Object} game - Current game state.
+ * @returns {string|null} Step id, or null once the game is over.
+ */
+function get_phase(game) {
+    switch (game.state) {
+        case "setup_german":
+        case "setup_soviet":
+            return "setup";
+        case "event_phase":
+        case "event_choice":
+            return "event";
+        case "evacuation_phase":
+            return "evacuation";
+        case "russian_reaction_phase":
+            return "reaction";
+        case "movement_german":
+        case "elimination_german":
+            return "german_movement";
+        case "movement_soviet":
+        case "elimination_soviet":
+            return "soviet_movement";
+        case "combat_setup":
+        case "combat_resolve":
+        case "combat_assign":
+        case "combat_retreat":
+        case "combat_advance":
+            // The defender may be active while assigning hits or retreating
+            return ((game.combat_last_active || game.active) === "German") ? "german_combat" : "soviet_combat";
+        case "end_of_turn":
+            return "end_of_turn";
     }
+    return null;
+}
 
-    return oos;
+/**
+ * Ends the game.
+ * @param {string} result - "German", "Soviet" or "Draw".
+ * @param {string} victory - Description shown as the final prompt.
+ */
+function goto_game_over(game, result, victory) {
+    game.state = "game_over";
+    game.active = "None";
+    game.result = result;
+    game.victory = victory;
+    game.selected = null;
+    clear_undo(game);
+    game.log.push(`GAME OVER: ${victory} (CEF ${game.cef}).`);
 }
 
-function check_supply(game) {
-    let oos_ids = get_out_of_supply_units(game);
-    data.units.forEach(u => {
-        if (u.side === "soviet") {
-            u.oos = oos_ids.includes(u.id);
-        }
-    });
+/**
+ * Checks if a space is occupied by enemy units.
+ * @param {Object} game - Current game state.
+ * @param {string} spaceId - Space to check.
+ * @param {string} friendlySide - The side checking (to identify enemies).
+ * @returns {boolean} True if enemy units are present.
+ */
+function is_enemy_occupied(game, spaceId, friendlySide) {
+    let units = get_board(game)[String(spaceId)] || [];
+    return units.some(u => u.side !== "neutral" && u.side !== friendlySide);
+}
+
+/**
+ * Checks if any point adjacent to a space holds enemy units.
+ * Entering such a space ends a unit's movement.
+ */
+function is_adjacent_to_enemy(game, spaceId, friendlySide) {
+    let neighbors = adj[String(spaceId)] || [];
+    return neighbors.some(next => is_enemy_occupied(game, next, friendlySide));
 }
 
 /**
- * Calculates valid move destinations for a unit.
+ * Finds every point a unit can reach with its remaining movement points.
+ * Rules:
+ * - Each step to an adjacent point costs 1 of the unit's 3 movement points.
+ * - Units may not enter or pass through enemy occupied points.
+ * - A unit entering a point adjacent to the enemy must stop there.
+ * - A Soviet unit may pass through, but not end its move in, a point held by
+ *   another army. (A single unit may go over the stacking limit, which is
+ *   settled in the elimination phase; a stack may not.)
  * @param {Object} game - Current game state.
  * @param {string} unitId - Unit to move.
- * @returns {Array<string>} List of valid destination space IDs.
+ * @returns {Object} Map: destination spaceId -> cheapest path (list of spaces, excluding the start).
  */
-function get_valid_moves(game, unitId) {
-    let unit = data.units.find(u => u.id === unitId);
+function get_move_paths(game, unitId) {
+    let unit = UNITS[unitId];
     let start = game.pieces[unitId];
-    if (!start) return [];
+    let paths = {};
+    if (!start) return paths;
 
     // CHECK SUPPLY (Soviet Only)
     // "these units may not be chosen to move ... as long as they are out of supply"
     if (unit.side === "soviet") {
-        let oos_units = get_out_of_supply_units(game);
-        if (oos_units.includes(unitId)) return [];
+        if (is_out_of_supply(game, unitId)) return paths;
+    }
+
+    let movesLeft = MOVEMENT_POINTS - (game.moved[unitId] || 0);
+
+    // BFS outwards from the start, one movement point per ring
+    let visited = new Set([start]);
+    let frontier = [start];
+    paths[start] = [];
+    for (let step = 1; step <= movesLeft; step++) {
+        let next_frontier = [];
+        for (let current of frontier) {
+            // Zone of control: no further movement after entering a point next to the enemy
+            if (current !== start && is_adjacent_to_enemy(game, current, unit.side)) continue;
+            for (let next of adj[current] || []) {
+                if (visited.has(next)) continue;
+                if (is_enemy_occupied(game, next, unit.side)) continue;
+                visited.add(next);
+                paths[next] = paths[current].concat(next);
+                next_frontier.push(next);
+            }
+        }
+        frontier = next_frontier;
     }
+    delete paths[start];
+    for (let dest in paths) {
+        if (is_army_mixing(game, unit, dest)) delete paths[dest];
+    }
+    return paths;
+}
 
-    let valid_destinations = [];
-    let neighbors = adj[String(start)] || [];
+/**
+ * Soviet armies do not mix: a Soviet unit may not join a point that holds
+ * units of another army.
+ */
+function is_army_mixing(game, unit, spaceId) {
+    if (unit.side !== "soviet") return false;
+    return get_units_in_space(game, spaceId).some(u => u.side === "soviet" && u.army !== unit.army);
+}
 
-    for (let next of neighbors) {
-        // Rule: Units stop adjacent to enemies and fire from a distance.
-        // (Simplified for now: Cannot enter enemy occupied spaces directly)
-        if (!is_enemy_occupied(game, next, unit.side)) {
-            valid_destinations.push(next);
+/**
+ * Lists the units that can be selected as a stack together with a unit:
+ * friendly units in the same point that can still act, and for the Soviets
+ * only units of the same army.
+ * - Movement: units with moves left (and in supply, for the Soviets).
+ * - Advance after combat: advance candidates that have not advanced yet,
+ *   up to the room left in the vacated point.
+ * @param {Object} game - Current game state.
+ * @param {string} unitId - The selected unit (listed first).
+ * @returns {Array<string>} Unit ids.
+ */
+function get_stack_candidates(game, unitId) {
+    let lead = UNITS[unitId];
+    let space = game.pieces[unitId];
+    let list = [unitId];
+    get_units_in_space(game, space).forEach(u => {
+        if (u.id === unitId || u.side !== lead.side || u.type === 'fort' || u.type === 'chit') return;
+        if (u.side === "soviet" && u.army !== lead.army) return;
+        if (game.state === "combat_advance") {
+            if (can_advance(game, u.id)) list.push(u.id);
+        } else {
+            if ((game.moved[u.id] || 0) >= MOVEMENT_POINTS) return;
+            if (u.side === "soviet" && is_out_of_supply(game, u.id)) return;
+            list.push(u.id);
         }
+    });
+    if (game.state === "combat_advance") {
+        list = list.slice(0, STACKING_LIMIT - count_stacked_units(game, game.advance_space));
     }
-    return valid_destinations;
+    return list;
+}
+
+/**
+ * Calculates where a stack can move together: the destinations every member
+ * can reach with its own remaining moves (so, as for a single unit, without
+ * mixing Soviet armies) that keep the destination within the stacking limit.
+ * @param {Object} game - Current game state.
+ * @param {Array<string>} group - Units moving together (all in the same point).
+ * @returns {Object} Map: destination spaceId -> path (as in get_move_paths).
+ */
+function get_group_move_paths(game, group) {
+    let lead = get_move_paths(game, group[0]);
+    let others = group.slice(1).map(id => get_move_paths(game, id));
+    let paths = {};
+    for (let dest in lead) {
+        if (!others.every(p => p[dest])) continue;
+        if (count_stacked_units(game, dest) + group.length > STACKING_LIMIT) continue;
+        paths[dest] = lead[dest];
+    }
+    return paths;
+}
+
+/**
+ * Counts the units in a space that count against the stacking limit.
+ */
+function count_stacked_units(game, spaceId) {
+    return get_units_in_space(game, spaceId).filter(u => u.type !== 'fort' && u.type !== 'chit').length;
 }
 
 /**
@@ -297,20 +721,11 @@ function get_valid_moves(game, unitId) {
  * @returns {Array<string>} List of space IDs that are overstacked.
  */
 function check_stacking_limits(game) {
-    let counts = {};
+    let board = get_board(game);
     let overstacked = [];
-    for (let uid in game.pieces) {
-        let s = game.pieces[uid];
-        if (s && !s.startsWith("track_")) {
-            let u = data.units.find(unit => unit.id === uid);
-            // Hard limit: Forts and Chits are excluded from the count.
-            if (u.type !== 'fort' && u.type !== 'chit') {
-                counts[s] = (counts[s] || 0) + 1;
-            }
-        }
-    }
-    for (let s in counts) {
-        if (counts[s] > 3) overstacked.push(s);
+    for (let s in board) {
+        // Hard limit: Forts and Chits are excluded from the count.
+        if (!s.startsWith("track_") && count_stacked_units(game, s) > STACKING_LIMIT) overstacked.push(s);
     }
     return overstacked;
 }
@@ -319,12 +734,9 @@ function check_stacking_limits(game) {
  * Counts the number of chits in a specific track box.
  */
 function count_chits_in_box(game, boxNamePrefix) {
-    let count = 0;
+    let board = get_board(game);
     let slots = [`track_${boxNamePrefix}1`, `track_${boxNamePrefix}2`];
-    for (let uid in game.pieces) {
-        if (slots.includes(game.pieces[uid])) count++;
-    }
-    return count;
+    return slots.reduce((count, slot) => count + (board[slot] || []).length, 0);
 }
 
 function count_russian_activation_chits(game) {
@@ -337,8 +749,9 @@ function count_russian_activation_chits(game) {
 function place_chit(game, type) {
     let slots = [`track_${type}1`, `track_${type}2`];
     let target = null;
-    let occupied1 = Object.values(game.pieces).includes(slots[0]);
-    let occupied2 = Object.values(game.pieces).includes(slots[1]);
+    let board = get_board(game);
+    let occupied1 = (board[slots[0]] || []).length > 0;
+    let occupied2 = (board[slots[1]] || []).length > 0;
     if (!occupied1) target = slots[0];
     else if (!occupied2) target = slots[1];
 
@@ -350,7 +763,7 @@ function place_chit(game, type) {
     // Find an unused chit
     let chit = data.units.find(u => u.type === 'chit' && u.id !== "marker_stance" && game.pieces[u.id] === null);
     if (chit) {
-        game.pieces[chit.id] = target;
+        set_piece(game, chit.id, target);
         game.log.push(`Chit added to ${data.spaces.find(s => s.id === target).name}.`);
     }
 }
@@ -360,25 +773,12 @@ function place_chit(game, type) {
  * Used for calculating bonuses (e.g., holding the perimeter).
  */
 function is_fully_occupied_by(game, spaces, side) {
-    for (let spaceId of spaces) {
-        let occupied = false;
-        let sid = String(spaceId);
-        for (let uid in game.pieces) {
-            if (game.pieces[uid] === sid) {
-                let unit = data.units.find(u => u.id === uid);
-                if (unit.side === side) {
-                    occupied = true;
-                    break;
-                }
-            }
-        }
-        if (!occupied) return false;
-    }
-    return true;
+    let board = get_board(game);
+    return spaces.every(spaceId => (board[String(spaceId)] || []).some(u => u.side === side));
 }
 
 /**
- * Calculates possible bonus/penalties to German cohesion.
+ * Breaks down the bonus/penalties to German cohesion.
  * Penalties:
  * - If >= 2 Outer Forts (25-32) are Russian occupied: -1
  * - If >= 2 Inner Forts (42-47) are Russian occupied: Drop to 0
@@ -386,40 +786,51 @@ function is_fully_occupied_by(game, spaces, side) {
  * - If 1-6 all German: +1
  * - If 21-24 all German: +1
  * (Enhancements not cumulative, max +1)
+ * @param {Object} game - Current game state.
+ * @returns {Object} {
+ *   outer_lost: outer fort points held by the Soviets,
+ *   inner_lost: inner fort points held by the Soviets,
+ *   enhance_1: points 1-6 all German, enhance_2: points 21-24 all German,
+ *   modifier: -1, 0, +1 or "ZERO"
+ * }
  */
-function get_german_cohesion_modifier(game) {
-    // 1. Check Inner Forts Penalty (Absolute)
-    let innerOccupied = 0;
-    for (let p of INNER_FORT_POINTS) {
-        if (is_enemy_occupied(game, p, "german")) innerOccupied++;
-    }
-    if (innerOccupied >= 2) return "ZERO"; // Special flag
-
-    let modifier = 0;
+function get_german_cohesion_status(game) {
+    let status = {
+        outer_lost: OUTER_FORT_POINTS.map(String).filter(p => is_enemy_occupied(game, p, "german")),
+        inner_lost: INNER_FORT_POINTS.map(String).filter(p => is_enemy_occupied(game, p, "german")),
+        enhance_1: is_fully_occupied_by(game, ENHANCE_POINTS_1, "german"),
+        enhance_2: is_fully_occupied_by(game, ENHANCE_POINTS_2, "german"),
+        modifier: 0,
+    };
 
-    // 2. Check Outer Forts Penalty
-    let outerOccupied = 0;
-    for (let p of OUTER_FORT_POINTS) {
-        if (is_enemy_occupied(game, p, "german")) outerOccupied++;
+    // 1. Inner Forts Penalty (Absolute)
+    if (status.inner_lost.length >= 2) {
+        status.modifier = "ZERO"; // Special flag
+        return status;
     }
-    if (outerOccupied >= 2) modifier -= 1;
 
-    // 3. Check Enhancements
-    let bonus = 0;
-    if (is_fully_occupied_by(game, ENHANCE_POINTS_1, "german")) bonus = 1;
-    if (is_fully_occupied_by(game, ENHANCE_POINTS_2, "german")) bonus = 1; // Not cumulative, so just set to 1 if either met
-    // (If strict "both apply, still only +1" logic is needed, this simple IF works because we just set to 1)
+    // 2. Outer Forts Penalty
+    if (status.outer_lost.length >= 2) status.modifier -= 1;
+
+    // 3. Enhancements (not cumulative)
+    if (status.enhance_1 || status.enhance_2) status.modifier += 1;
 
-    modifier += bonus;
+    return status;
+}
 
-    return modifier;
+/**
+ * Calculates possible bonus/penalties to German cohesion.
+ * @returns {number|string} -1, 0, +1 or "ZERO" (see get_german_cohesion_status).
+ */
+function get_german_cohesion_modifier(game) {
+    return get_german_cohesion_status(game).modifier;
 }
 
 /**
  * Calculates the effective cohesion for a unit.
  */
 function get_effective_cohesion(game, unitId) {
-    let unit = data.units.find(u => u.id === unitId);
+    let unit = UNITS[unitId];
     if (!unit) return 0;
 
     // Only German units (not Forts) are affected by morale rules
@@ -435,68 +846,104 @@ function get_effective_cohesion(game, unitId) {
 }
 
 /**
- * Checks Russian Supply status.
- * Returns a list of Soviet unit IDs that are OUT OF SUPPLY.
- * 
+ * Traces the Russian supply network.
+ *
  * Rules:
  * A point is out of supply if it cannot trace a supply line along a line of
  * adjacent, empty or Russian occupied points back to any empty or Russian occupied set up point (2-24).
- * 
- * Note: BFS is re-run dynamically to ensure accurate status.
+ *
+ * @param {Object} game - Current game state.
+ * @returns {Object} {
+ *   reachable: points that can trace supply,
+ *   blocked: set up points (2-24) held by the Germans,
+ *   pockets: isolated groups of Soviet-held points, { points, cut_by } where
+ *            cut_by lists the German-held points that seal the pocket off
+ * }
  */
-function get_out_of_supply_units(game) {
-    let oos = [];
-    let soviets = data.units.filter(u => u.side === "soviet" && game.pieces[u.id]);
-
-    if (soviets.length === 0) return [];
+function get_supply_network(game) {
+    let by_number = (a, b) => Number(a) - Number(b);
 
-    // 1. Identify valid "source" points (Setup points 2-24 that are NOT German occupied)
+    // 1. Sources: set up points that are NOT German occupied
     let sources = [];
+    let blocked = [];
     for (let i = 2; i <= 24; i++) {
-        // Must be Empty or Russian Occupied.
-        // Equivalent to: NOT German occupied (and NOT Neutral/Blocked? Rules say "empty or Russian occupied").
-        // German presence blocks. Forts block? Rules say "Russian occupied points... cut off ... by Germans".
-        // Forts are German units.
-        if (!is_enemy_occupied(game, i, "soviet")) {
-            sources.push(String(i));
-        }
+        if (is_enemy_occupied(game, i, "soviet")) blocked.push(String(i));
+        else sources.push(String(i));
     }
 
-    if (sources.length === 0) {
-        // No valid supply sources! All Soviet units on map are OOS.
-        return soviets.map(u => u.id);
-    }
-
-    // 2. Perform BFS from sources to find all reachable points
+    // 2. BFS from the sources; German occupied points cannot be passed
     let reachable = new Set(sources);
     let queue = [...sources];
-
     while (queue.length > 0) {
         let current = queue.shift();
-        let neighbors = adj[current] || [];
-
-        for (let next of neighbors) {
-            if (!reachable.has(next)) {
-                // Check if traversable: "adjacent, empty or Russian occupied points"
-                // So, CANNOT pass through German occupied points.
-                if (!is_enemy_occupied(game, next, "soviet")) {
-                    reachable.add(next);
-                    queue.push(next);
-                }
+        for (let next of adj[current] || []) {
+            if (!reachable.has(next) && !is_enemy_occupied(game, next, "soviet")) {
+                reachable.add(next);
+                queue.push(next);
             }
         }
     }
 
-    // 3. Check each Soviet unit
-    for (let unit of soviets) {
-        let space = game.pieces[unit.id];
-        // If the space the unit is in is NOT reachable, it's OOS.
-        if (!reachable.has(space)) {
-            oos.push(unit.id);
+    // 3. Group the cut-off Soviet points into pockets
+    let pockets = [];
+    let seen = new Set();
+    let board = get_board(game);
+    for (let space in board) {
+        if (reachable.has(space) || seen.has(space)) continue;
+        if (!board[space].some(u => u.side === "soviet")) continue;
+
+        let points = [space];
+        let cut_by = new Set();
+        seen.add(space);
+        for (let i = 0; i < points.length; i++) {
+            for (let next of adj[points[i]] || []) {
+                if (is_enemy_occupied(game, next, "soviet")) cut_by.add(next);
+                else if (!seen.has(next)) {
+                    seen.add(next);
+                    points.push(next);
+                }
+            }
         }
+        pockets.push({ points: points.sort(by_number), cut_by: [...cut_by].sort(by_number) });
     }
 
-    return oos;
+    return { reachable: [...reachable].sort(by_number), blocked: blocked, pockets: pockets };
+}
+
+/**
+ * Returns a list of Soviet unit IDs that are OUT OF SUPPLY.
+ */
+function get_out_of_supply_units(game) {
+    let reachable = new Set(get_supply_network(game).reachable);
+    return data.units
+        .filter(u => u.side === "soviet" && game.pieces[u.id] && !reachable.has(game.pieces[u.id]))
+        .map(u => u.id);
+}
+
+/**
+ * Recomputes Soviet supply and stores it in the game state, recording which
+ * units went out of supply or were restored. Runs after every action, and in
+ * combat right after a unit is eliminated, retreats or advances, so that rules
+ * applied later in the same action see the new status.
+ * @param {Object} game - Current game state.
+ */
+function update_supply(game) {
+    let oos = get_out_of_supply_units(game);
+    let prev = game.supply.oos;
+    let out = oos.filter(id => !prev.includes(id));
+    // Eliminated units simply drop out of the list
+    let restored = prev.filter(id => !oos.includes(id) && game.pieces[id]);
+    if (out.length > 0 || restored.length > 0) {
+        game.supply.history.push({ turn: game.turn, state: game.state, out: out, restored: restored });
+    }
+    game.supply.oos = oos;
+}
+
+/**
+ * Checks the stored supply status of a unit.
+ */
+function is_out_of_supply(game, unitId) {
+    return game.supply.oos.includes(unitId);
 }
 
 /**
@@ -522,7 +969,7 @@ function get_combat_limits(game, side) {
  * Returns null if valid, or reason string if not.
  */
 function can_unit_attack(game, unitId) {
-    let unit = data.units.find(u => u.id === unitId);
+    let unit = UNITS[unitId];
     let spaceId = game.pieces[unitId];
     if (!spaceId) return "Off-map";
     if (unit.type === 'fort' || unit.type === 'chit') return "Cannot attack";
@@ -533,8 +980,7 @@ function can_unit_attack(game, unitId) {
     // CHECK SUPPLY (Soviet Only)
     // "these units may not ... attack as long as they are out of supply"
     if (unit.side === "soviet") {
-        let oos_units = get_out_of_supply_units(game);
-        if (oos_units.includes(unitId)) return "Out of Supply";
+        if (is_out_of_supply(game, unitId)) return "Out of Supply";
     }
 
     // Check adjacency to enemies
@@ -556,7 +1002,7 @@ function can_unit_attack(game, unitId) {
     let unitsFromSpace = 0;
 
     game.attacks.forEach(a => {
-        let u = data.units.find(x => x.id === a.attacker);
+        let u = UNITS[a.attacker];
         if (u.side === unit.side) {
             usedPoints.add(a.source);
             if (a.source === spaceId) unitsFromSpace++;
@@ -578,52 +1024,289 @@ function can_unit_attack(game, unitId) {
  * Returns list of unit objects in a space.
  */
 function get_units_in_space(game, spaceId) {
-    let list = [];
-    let sid = String(spaceId);
-    for (let uid in game.pieces) {
-        if (game.pieces[uid] === sid) {
-            let u = data.units.find(x => x.id === uid);
-            if (u) list.push(u);
+    return (get_board(game)[String(spaceId)] || []).slice();
+}
+
+/**
+ * Calculates the retreat paths of a unit that must retreat (leading a stack of
+ * 'count' units retreating together from the same point).
+ * - Forts never retreat.
+ * - A retreat never enters an enemy point. It ends in the nearest points with
+ *   room for the whole stack under the stacking limit (and, for the Soviets, no
+ *   other army); when every adjacent point is friendly but full, it chains on
+ *   through them.
+ * - Among those, the owner must pick, where possible: a point in supply
+ *   (Soviets), then a point not adjacent to the enemy, then an empty point.
+ * @param {Object} game - Current game state.
+ * @param {string} unitId - Retreating unit (the lead of the stack).
+ * @param {number} [count=1] - Units retreating together.
+ * @returns {Object} Map: destination spaceId -> path (list of spaces, excluding the start).
+ */
+function get_retreat_paths(game, unitId, count = 1) {
+    let unit = UNITS[unitId];
+    let start = game.pieces[unitId];
+    if (!start || unit.type === 'fort' || unit.type === 'chit') return {};
+
+    // Breadth-first, one ring at a time, until a ring offers a destination
+    let paths = { [start]: [] };
+    let candidates = [];
+    let frontier = [start];
+    while (frontier.length > 0 && candidates.length === 0) {
+        let next_frontier = [];
+        for (let current of frontier) {
+            for (let next of adj[current] || []) {
+                if (paths[next] || is_enemy_occupied(game, next, unit.side)) continue;
+                paths[next] = paths[current].concat(next);
+                if (count_stacked_units(game, next) + count <= STACKING_LIMIT && !is_army_mixing(game, unit, next))
+                    candidates.push(next);
+                else
+                    next_frontier.push(next); // Friendly point without room: retreat through it
+            }
         }
+        frontier = next_frontier;
     }
-    return list;
+
+    // Apply each preference only if it leaves a choice
+    let prefer = test => {
+        let preferred = candidates.filter(test);
+        if (preferred.length > 0) candidates = preferred;
+    };
+    if (unit.side === "soviet") {
+        let reachable = new Set(get_supply_network(game).reachable);
+        prefer(space => reachable.has(space));
+    }
+    prefer(space => !is_adjacent_to_enemy(game, space, unit.side));
+    prefer(space => get_units_in_space(game, space).length === 0);
+
+    let result = {};
+    candidates.sort((a, b) => Number(a) - Number(b)).forEach(space => result[space] = paths[space]);
+    return result;
 }
 
+// --- BATTLES ---
+
 /**
- * Calculates valid retreat options.
- * Priority: 1. Empty Spaces. 2. Non-Enemy Spaces.
+ * Groups the declared attacks into one battle per target point,
+ * in the order the points were first attacked.
+ * @param {Array} attacks - Declared attacks {attacker, target, source, targetSpace}.
+ * @param {string} side - The attacking side.
+ * @returns {Array} Battles {space, side, attackers, hits}.
  */
-function get_retreat_options(game, unitId) {
-    let unit = data.units.find(u => u.id === unitId);
-    let spaceId = game.pieces[unitId];
-    if (!spaceId) return [];
+function group_battles(attacks, side) {
+    let battles = [];
+    for (let a of attacks) {
+        let battle = battles.find(b => b.space === a.targetSpace);
+        if (!battle) {
+            battle = { space: a.targetSpace, side: side, attackers: [], hits: 0 };
+            battles.push(battle);
+        }
+        battle.attackers.push(a.attacker);
+    }
+    return battles;
+}
 
-    let neighbors = adj[String(spaceId)] || [];
-    let empty = [];
-    let friendly = [];
+/**
+ * Attackers of a battle that are still adjacent to its point.
+ * (An attacker may have advanced elsewhere after an earlier battle.)
+ */
+function get_battle_attackers(game, battle) {
+    let neighbors = adj[battle.space] || [];
+    return battle.attackers.filter(id => neighbors.includes(game.pieces[id]));
+}
 
-    for (let next of neighbors) {
-        // Check contents
-        let occupants = get_units_in_space(game, next);
-        if (occupants.length === 0) {
-            empty.push(next);
-        } else {
-            // Check for enemy
-            let hasEnemy = occupants.some(u => u.side !== "neutral" && u.side !== unit.side);
-            // Check if overstacked? retreat rules say "does not violate stacking limits"
-            let count = occupants.filter(u => u.type !== 'fort' && u.type !== 'chit').length;
-            if (unit.type !== 'fort' && unit.type !== 'chit') {
-                if (count >= 3) hasEnemy = true; // Treat full stack as invalid
-            }
+/**
+ * Enemy units in a battle's point.
+ */
+function get_battle_defenders(game, battle) {
+    return get_units_in_space(game, battle.space).filter(u =>
+        u.side !== "neutral" && u.side !== battle.side && u.type !== 'chit'
+    );
+}
 
-            if (!hasEnemy) {
-                friendly.push(next);
-            }
+/**
+ * Units that may absorb the next hit of a battle.
+ * Units sharing a point with a non-eliminated Fort are protected by it, and
+ * units already waiting to retreat take no further hits.
+ */
+function get_absorb_options(game, battle) {
+    let retreating = battle.retreating || [];
+    let defenders = get_battle_defenders(game, battle).filter(u => !retreating.includes(u.id));
+    let forts = defenders.filter(u => u.type === 'fort');
+    return (forts.length > 0 ? forts : defenders).map(u => u.id);
+}
+
+/**
+ * Outcome odds of a single attacker against a target unit: one attack die
+ * (a hit at or below the attacker's Combat), then one cohesion die for the unit
+ * taking the hit, as in resolve_hit. A Fort in the target point takes the hit
+ * in place of the other units; a retreat without a retreat path (or by a Fort)
+ * counts as eliminated.
+ * @param {Object} game - Current game state.
+ * @param {string} attackerId - Attacking unit.
+ * @param {string} targetId - Target unit.
+ * @returns {Object} { taker, miss, saved, retreat, eliminated }, counted out of
+ *   36 equally likely pairs of dice.
+ */
+function get_combat_odds(game, attackerId, targetId) {
+    let clamp = n => Math.max(0, Math.min(6, n));
+    let fort = get_units_in_space(game, game.pieces[targetId]).find(u => u.type === 'fort');
+    let taker = fort ? fort.id : targetId;
+
+    let hits = clamp(UNITS[attackerId].combat);
+    let cohesion = get_effective_cohesion(game, taker);
+    let saved = clamp(cohesion);
+    let retreat = (cohesion + 1 >= 1 && cohesion + 1 <= 6) ? 1 : 0;
+    let eliminated = 6 - saved - retreat;
+
+    if (Object.keys(get_retreat_paths(game, taker)).length === 0) {
+        eliminated += retreat;
+        retreat = 0;
+    }
+
+    return {
+        taker: taker,
+        miss: (6 - hits) * 6,
+        saved: hits * saved,
+        retreat: hits * retreat,
+        eliminated: hits * eliminated,
+    };
+}
+
+/**
+ * Lists the declared attacks with their progress, for the attack arrows.
+ * status: "declared" during designation, then "pending", "current" (the battle
+ * being resolved), "resolved", or "dropped" (the attacker has left the battle).
+ * @param {Object} game - Current game state.
+ * @returns {Array<Object>} {attacker, target, source, targetSpace, status}
+ */
+function get_attack_status(game) {
+    return game.attacks.map(a => {
+        let status = "declared";
+        if (game.state !== "combat_setup") {
+            let index = game.battles.findIndex(b => b.space === a.targetSpace);
+            if (index < game.combat_index) status = "resolved";
+            else if (index > game.combat_index) status = "pending";
+            else if (!get_battle_attackers(game, game.battles[index]).includes(a.attacker)) status = "dropped";
+            else status = "current";
+        }
+        return Object.assign({}, a, { status: status });
+    });
+}
+
+/**
+ * Short description of a battle for prompts and the log.
+ */
+function describe_battle(game, battle) {
+    let attackers = get_battle_attackers(game, battle).map(id => UNITS[id].name);
+    let defenders = get_battle_defenders(game, battle).map(u => u.name);
+    return `${attackers.join(", ")} vs ${defenders.length > 0 ? defenders.join(", ") : "empty point"} at ${battle.space}`;
+}
+
+/**
+ * Gives control to the defender of the current battle (for hit assignment and retreats).
+ */
+function set_defender_active(game, battle, reason) {
+    let defenderRole = (battle.side === "german") ? "Soviet" : "German";
+    if (game.active !== defenderRole) {
+        game.combat_last_active = game.active;
+        game.active = defenderRole;
+        game.log.push(`Control passes to ${defenderRole} ${reason}.`);
+    }
+}
+
+/**
+ * Continues the current battle: assigns the next hit, then has the units that
+ * must retreat do so, then ends the battle.
+ * With a single candidate the hit is assigned automatically.
+ */
+function continue_battle(game) {
+    let battle = game.battles[game.combat_index];
+    let options = get_absorb_options(game, battle);
+
+    if (battle.hits > 0 && options.length > 0) {
+        if (options.length === 1) {
+            resolve_hit(game, options[0]);
+        } else {
+            game.state = "combat_assign";
+            set_defender_active(game, battle, "to assign hits");
         }
+        return;
     }
 
-    if (empty.length > 0) return empty;
-    return friendly;
+    battle.hits = 0;
+    if (battle.retreating && battle.retreating.length > 0) {
+        start_retreat(game, battle);
+        return;
+    }
+    if (game.combat_last_active) {
+        game.active = game.combat_last_active;
+        game.combat_last_active = null;
+    }
+    check_advance_after_combat(game, battle.space);
+}
+
+/**
+ * Has the units of a battle that must retreat do so as one stack: the owning
+ * player picks the destination (and may send units off separately). When no
+ * point has room for the whole stack, as many units as fit go first and the
+ * rest follow on their own.
+ */
+function start_retreat(game, battle) {
+    let group = battle.retreating.slice();
+    let retreats = [];
+    for (; group.length > 0; group.pop()) {
+        retreats = Object.keys(get_retreat_paths(game, group[0], group.length));
+        if (retreats.length > 0) break;
+    }
+    if (group.length === 0) {
+        // Hemmed in since the retreat result: nowhere left to go, even alone
+        group = battle.retreating.slice();
+        group.forEach(id => set_piece(game, id, null));
+        game.log.push(`>${group.map(id => UNITS[id].name).join(", ")}: No retreat path: Eliminated.`);
+        battle.retreating = [];
+        update_supply(game);
+        continue_battle(game);
+        return;
+    }
+    game.state = "combat_retreat";
+    game.retreat_unit = group[0];
+    game.retreat_group = group;
+    game.retreat_options = retreats;
+    set_defender_active(game, battle, "for retreat");
+}
+
+/**
+ * Applies one hit of the current battle to a defending unit.
+ * Cohesion roll: at or below cohesion: Saved; cohesion + 1: Retreat; higher: Eliminated.
+ */
+function resolve_hit(game, unitId) {
+    let battle = game.battles[game.combat_index];
+    let unit = UNITS[unitId];
+    battle.hits--;
+
+    let die = roll_d6(game);
+    let cohesion = get_effective_cohesion(game, unitId);
+    let msg = `>${unit.name} takes a hit: rolled ${die} (Cohesion ${cohesion})`;
+
+    if (die <= cohesion) {
+        game.log.push(`${msg}: Saved.`);
+    } else if (die >= cohesion + 2) {
+        game.log.push(`${msg}: Eliminated.`);
+        set_piece(game, unitId, null);
+    } else if (unit.type === 'fort') {
+        game.log.push(`${msg}: Retreat. Fort cannot retreat: Eliminated.`);
+        set_piece(game, unitId, null);
+    } else if (Object.keys(get_retreat_paths(game, unitId)).length === 0) {
+        game.log.push(`${msg}: Retreat. No retreat path: Eliminated.`);
+        set_piece(game, unitId, null);
+    } else {
+        // Retreats wait until all hits are in, so a stack retreats together
+        game.log.push(`${msg}: Retreat.`);
+        battle.retreating = (battle.retreating || []).concat(unitId);
+    }
+    update_supply(game);
+
+    continue_battle(game);
 }
 
 // --- VIEW GENERATION ---
@@ -643,11 +1326,11 @@ exports.view = function (state, role) {
         prompt: null,
         actions: {},
         selected: state.selected,
-        cef: state.cef,
+        group: state.group,
         cef: state.cef,
         overstacked: [],
         cohesion: {}, // Effective cohesion for units
-        out_of_supply: [] // List of OOS units
+        out_of_supply: state.supply.oos // OOS Soviet units, shown to both sides
     };
 
     // Calculate effective cohesion for all live units
@@ -657,21 +1340,27 @@ exports.view = function (state, role) {
         }
     }
 
-    // Calculate Supply Status (Soviet)
-    if (role === "Soviet" || role === "Observer") {
-        view.out_of_supply = get_out_of_supply_units(state);
+    // Declared attacks and their progress (for the attack arrows)
+    if (state.state.startsWith("combat_")) {
+        view.attacks = get_attack_status(state);
     }
 
-    // Helper: List units that haven't been placed yet
-    function get_unplaced_units(side) {
-        let list = [];
-        data.units.forEach(u => {
-            if (state.pieces[u.id] === null && u.side === side && u.type !== 'fort' && u.type !== 'chit') {
-                list.push(u.id);
-            }
-        });
-        return list;
-    }
+    // Turn, phase and event status
+    view.turn = state.turn;
+    view.last_turn = get_last_turn(state);
+    view.phase = get_phase(state);
+    view.stance = state.stance;
+    view.major_exodus = state.major_exodus;
+    view.russian_halt = state.russian_halt;
+    view.major_sinking_last_turn = state.major_sinking_last_turn;
+    view.stance_attempts = state.stance_attempts;
+    view.max_stance_attempts = MAX_STANCE_ATTEMPTS;
+
+    // German cohesion modifier breakdown (public to both sides)
+    view.german_cohesion = get_german_cohesion_status(state);
+
+    // Supply network overlay (public to both sides)
+    view.supply = get_supply_network(state);
 
     // Helper: List units that can be selected for action
     function list_selectable_units(side) {
@@ -680,7 +1369,8 @@ exports.view = function (state, role) {
             let isSetup = state.state.startsWith("setup");
             let isMovement = state.state.startsWith("movement");
 
-            if (state.pieces[u.id] === null && isSetup && u.side === side && u.type !== 'fort' && u.type !== 'chit') {
+            // During setup, placed units can be picked up again to adjust the deployment
+            if (isSetup && u.side === side && u.type !== 'fort' && u.type !== 'chit') {
                 list.push(u.id);
             }
             if (state.pieces[u.id] !== null && isMovement && u.side === side && u.type !== 'fort' && u.type !== 'chit') {
@@ -690,44 +1380,9 @@ exports.view = function (state, role) {
         return list;
     }
 
-    // Helper: List valid setup locations for a unit
-    function list_valid_spaces_setup(unitId) {
-        let list = [];
-        let unit = data.units.find(u => u.id === unitId);
-        let current_pieces = state.pieces;
-        data.spaces.forEach(space => {
-            let s = parseInt(space.id);
-            if (isNaN(s)) return;
-
-            // Check stacking limit
-            let unitsInSpace = data.units.filter(u => current_pieces[u.id] === space.id);
-            let count = unitsInSpace.filter(u => u.type !== 'fort').length;
-            if (count >= 3) return;
-
-            // Faction-specific setup zones
-            if (unit.side === "german") {
-                let valid = (s >= 1 && s <= 4) || s === 20 || (s >= 24 && s <= 52);
-                if (!valid) return;
-            }
-            else if (unit.side === "soviet") {
-                let valid = (s >= 2 && s <= 24);
-                if (!valid) return;
-
-                // Cannot setup with enemies
-                let hasGerman = unitsInSpace.some(u => u.side === "german");
-                if (hasGerman) return;
-
-                // Cannot mix armies
-                let differentArmy = unitsInSpace.find(u => u.side === "soviet" && u.army !== unit.army);
-                if (differentArmy) return;
-            }
-            list.push(space.id);
-        });
-        return list;
-    }
-
     // Enable Undo if history exists and player is active
     view.actions.undo = (state.undo && state.undo.length > 0 && role === state.active) ? 1 : 0;
+    if (has_option(state, "no_undo")) view.actions.undo = 0;
 
     // --- STATE MACHINE FOR VIEW GENERATION ---
 
@@ -740,17 +1395,18 @@ exports.view = function (state, role) {
                 view.prompt = "German Setup: Choose your Stance.";
                 view.actions.set_stance = ['track_land', 'track_naval'];
             } else {
-                let unplaced = get_unplaced_units("german");
+                let unplaced = get_unplaced_units(state, "german");
                 if (unplaced.length === 0) {
                     view.prompt = "All units placed. End Setup to continue.";
                     view.actions.end_setup = 1;
                 } else {
                     view.prompt = `German Setup: ${unplaced.length} units remaining.`;
                     view.actions.end_setup = 0;
+                    view.actions.auto_deploy = 1;
                 }
                 if (state.selected) {
                     view.prompt = "Select destination.";
-                    view.actions.place = list_valid_spaces_setup(state.selected);
+                    view.actions.place = list_valid_spaces_setup(state, state.selected);
                     view.actions.deselect = 1;
                 } else {
                     view.actions.select = list_selectable_units("german");
@@ -762,17 +1418,18 @@ exports.view = function (state, role) {
     }
     else if (state.state === "setup_soviet") {
         if (role === "Soviet") {
-            let unplaced = get_unplaced_units("soviet");
+            let unplaced = get_unplaced_units(state, "soviet");
             if (unplaced.length === 0) {
                 view.prompt = "All units placed. End Setup to continue.";
                 view.actions.end_setup = 1;
             } else {
                 view.prompt = `Soviet Setup: ${unplaced.length} units remaining.`;
                 view.actions.end_setup = 0;
+                view.actions.auto_deploy = 1;
             }
             if (state.selected) {
                 view.prompt = "Select destination.";
-                view.actions.place = list_valid_spaces_setup(state.selected);
+                view.actions.place = list_valid_spaces_setup(state, state.selected);
                 view.actions.deselect = 1;
             } else {
                 view.actions.select = list_selectable_units("soviet");
@@ -805,14 +1462,24 @@ exports.view = function (state, role) {
             view.prompt = "German Movement Phase.";
             view.actions.end_movement = 1;
             if (state.selected) {
-                let movesTaken = state.moved[state.selected] || 0;
-                let movesLeft = 3 - movesTaken;
-                view.prompt = `Select destination (${movesLeft} moves left).`;
+                let group = state.group || [state.selected];
+                let movesTaken = Math.max(...group.map(id => state.moved[id] || 0));
+                let movesLeft = MOVEMENT_POINTS - movesTaken;
+                if (state.group)
+                    view.prompt = `Select destination for the stack of ${group.length} (${movesLeft} moves left).`;
+                else
+                    view.prompt = `Select destination (${movesLeft} moves left).`;
 
                 if (movesLeft > 0) {
-                    view.actions.move = get_valid_moves(state, state.selected);
+                    // Cheapest path to each destination, for the range and path preview
+                    view.move_paths = state.group ? get_group_move_paths(state, group) : get_move_paths(state, state.selected);
+                    view.actions.move = Object.keys(view.move_paths);
                 }
 
+                // Stack selection: move the units in the point together
+                if (state.group) view.actions.drop_from_stack = state.group;
+                else if (get_stack_candidates(state, state.selected).length > 1) view.actions.select_stack = 1;
+
                 if (movesTaken > 0) view.actions.stop = 1;
                 else view.actions.deselect = 1;
 
@@ -820,7 +1487,7 @@ exports.view = function (state, role) {
                 let list = [];
                 data.units.forEach(u => {
                     let m = state.moved[u.id] || 0;
-                    if (u.side === "german" && state.pieces[u.id] && m < 3) {
+                    if (u.side === "german" && u.type !== 'fort' && u.type !== 'chit' && state.pieces[u.id] && m < MOVEMENT_POINTS) {
                         list.push(u.id);
                     }
                 });
@@ -835,14 +1502,24 @@ exports.view = function (state, role) {
             view.prompt = "Soviet Movement Phase.";
             view.actions.end_movement = 1;
             if (state.selected) {
-                let movesTaken = state.moved[state.selected] || 0;
-                let movesLeft = 3 - movesTaken;
-                view.prompt = `Select destination (${movesLeft} moves left).`;
+                let group = state.group || [state.selected];
+                let movesTaken = Math.max(...group.map(id => state.moved[id] || 0));
+                let movesLeft = MOVEMENT_POINTS - movesTaken;
+                if (state.group)
+                    view.prompt = `Select destination for the stack of ${group.length} (${movesLeft} moves left).`;
+                else
+                    view.prompt = `Select destination (${movesLeft} moves left).`;
 
                 if (movesLeft > 0) {
-                    view.actions.move = get_valid_moves(state, state.selected);
+                    // Cheapest path to each destination, for the range and path preview
+                    view.move_paths = state.group ? get_group_move_paths(state, group) : get_move_paths(state, state.selected);
+                    view.actions.move = Object.keys(view.move_paths);
                 }
 
+                // Stack selection: move the units in the point together
+                if (state.group) view.actions.drop_from_stack = state.group;
+                else if (get_stack_candidates(state, state.selected).length > 1) view.actions.select_stack = 1;
+
                 if (movesTaken > 0) view.actions.stop = 1;
                 else view.actions.deselect = 1;
 
@@ -850,7 +1527,7 @@ exports.view = function (state, role) {
                 let list = [];
                 data.units.forEach(u => {
                     let m = state.moved[u.id] || 0;
-                    if (u.side === "soviet" && state.pieces[u.id] && m < 3) {
+                    if (u.side === "soviet" && u.type !== 'fort' && u.type !== 'chit' && state.pieces[u.id] && m < MOVEMENT_POINTS) {
                         list.push(u.id);
                     }
                 });
@@ -897,7 +1574,7 @@ exports.view = function (state, role) {
         let usedPoints = new Set();
         let attackCount = 0;
         state.attacks.forEach(a => {
-            let u = data.units.find(x => x.id === a.attacker);
+            let u = UNITS[a.attacker];
             if (u.side === side) {
                 usedPoints.add(a.source);
                 attackCount++;
@@ -908,9 +1585,14 @@ exports.view = function (state, role) {
             view.prompt = `Combat Phase: Designate Attacks. (Points: ${usedPoints.size}/${limits.maxPoints})`;
             view.actions.end_combat_setup = 1;
 
+            // Any designated attack can be retracted, freeing its point and unit quota
+            if (attackCount > 0) {
+                view.actions.cancel_attack = state.attacks.filter(a => UNITS[a.attacker].side === side).map(a => a.attacker);
+            }
+
             if (state.selected) {
                 view.prompt = "Select target.";
-                let attacker = data.units.find(u => u.id === state.selected);
+                let attacker = UNITS[state.selected];
                 let source = state.pieces[state.selected];
                 let neighbors = adj[source] || [];
                 let targets = [];
@@ -933,6 +1615,12 @@ exports.view = function (state, role) {
                 });
                 view.actions.target = targets;
                 view.actions.deselect = 1;
+
+                // Outcome odds for each target unit (shown on hover)
+                view.target_odds = {};
+                targets.forEach(tid => {
+                    if (UNITS[tid]) view.target_odds[tid] = get_combat_odds(state, state.selected, tid);
+                });
             } else {
                 let list = [];
                 data.units.forEach(u => {
@@ -943,39 +1631,23 @@ exports.view = function (state, role) {
                 view.actions.select = list;
             }
 
-            view.attacks = state.attacks;
-
         } else {
             view.prompt = state.active + " is designating attacks...";
-            view.attacks = state.attacks;
         }
     }
 
 
     else if (state.state === "combat_resolve") {
-        if (state.combat_index < state.attacks.length) {
-            let attack = state.attacks[state.combat_index];
-            let attUnit = data.units.find(u => u.id === attack.attacker);
-            let defUnit = data.units.find(u => u.id === attack.target);
-
-            // Validate existence
-            if (state.pieces[attack.target] === null) {
-                view.prompt = `${defUnit.name} already eliminated. Attack skipped.`;
+        if (state.combat_index < state.battles.length) {
+            let battle = state.battles[state.combat_index];
+            if (get_battle_attackers(state, battle).length === 0) {
+                view.prompt = `Battle at ${battle.space}: no attackers remain. Battle skipped.`;
                 if (role === state.active) view.actions.next_attack = 1;
-                // Check if target is still adjacent.
-                // If not, it likely retreated previously. Use adjacency as a proxy for validity.
-                let attSpace = state.pieces[attack.attacker];
-                let defSpace = state.pieces[attack.target];
-                let neighbors = adj[attSpace] || [];
-                if (!neighbors.includes(defSpace)) {
-                    view.prompt = `${defUnit.name} retreated/moved. Attack skipped.`;
-                    if (role === state.active) view.actions.next_attack = 1;
-                } else {
-                    view.prompt = `Combat Resolution: ${attUnit.name} attacks ${defUnit.name}.`;
-                    if (role === state.active) view.actions.roll_combat = 1;
-                }
+            } else if (get_battle_defenders(state, battle).length === 0) {
+                view.prompt = `Combat Resolution: ${describe_battle(state, battle)}. Advance without a die roll.`;
+                if (role === state.active) view.actions.occupy = 1;
             } else {
-                view.prompt = `Combat Resolution: ${attUnit.name} attacks ${defUnit.name}.`;
+                view.prompt = `Combat Resolution: ${describe_battle(state, battle)}.`;
                 if (role === state.active) view.actions.roll_combat = 1;
             }
         } else {
@@ -983,22 +1655,44 @@ exports.view = function (state, role) {
             if (role === state.active) view.actions.end_combat = 1;
         }
     }
+    else if (state.state === "combat_assign") {
+        let battle = state.battles[state.combat_index];
+        view.prompt = `Battle at ${battle.space}: Choose a unit to take a hit (${battle.hits} left).`;
+        if (role === state.active) {
+            view.actions.absorb = get_absorb_options(state, battle);
+        }
+    }
     else if (state.state === "combat_retreat") {
-        view.prompt = `Retreat ${state.retreat_unit} to where?`;
+        let names = state.retreat_group.map(id => UNITS[id].name).join(", ");
+        view.prompt = `Retreat ${names} from ${state.pieces[state.retreat_unit]} to where?`;
         if (role === state.active) {
             view.actions.retreat = state.retreat_options;
             view.retreat_unit = state.retreat_unit; // Export for UI highlighting
+            view.retreat_group = state.retreat_group;
+            view.retreat_paths = get_retreat_paths(state, state.retreat_unit, state.retreat_group.length);
+            // Any unit can be sent off on its own retreat
+            if (state.retreat_group.length > 1) view.actions.drop_from_stack = state.retreat_group;
         }
     }
     else if (state.state === "combat_advance") {
-        view.prompt = "Advance After Combat: Select units to advance.";
+        let room = STACKING_LIMIT - count_stacked_units(state, state.advance_space);
+        view.advance_threats = get_advance_threats(state); // Both sides see the contested points
+        if (room > 0)
+            view.prompt = `Advance After Combat: Select units to advance into ${state.advance_space} (room for ${room}).`;
+        else
+            view.prompt = `Advance After Combat: ${state.advance_space} is full.`;
         if (role === state.active) {
             view.actions.done_advance = 1;
             view.advance_space = state.advance_space; // Export for UI highlighting
-            view.actions.select = state.advance_candidates; // Allow selection of candidates
-            if (state.selected) {
-                view.actions.advance_to = 1; // Enable button
-                view.actions.deselect = 1;
+            if (room > 0) {
+                // Allow selection of candidates that have not advanced yet (without mixing armies)
+                view.actions.select = state.advance_candidates.filter(id => can_advance(state, id));
+                if (state.selected) {
+                    view.actions.advance_to = 1; // Enable button
+                    view.actions.deselect = 1;
+                    if (state.group) view.actions.drop_from_stack = state.group;
+                    else if (get_stack_candidates(state, state.selected).length > 1) view.actions.select_stack = 1;
+                }
             }
         }
     }
@@ -1007,7 +1701,7 @@ exports.view = function (state, role) {
         view.prompt = "End of Turn Phase.";
         if (role === "German") {
             view.prompt += " Attempt Stance Change or End Turn?";
-            if (state.stance_attempts < 3 && !state.stance_attempt_this_turn) {
+            if (state.stance_attempts < MAX_STANCE_ATTEMPTS && !state.stance_attempt_this_turn) {
                 view.actions.attempt_stance_change = 1;
             }
             view.actions.end_turn = 1;
@@ -1023,17 +1717,57 @@ exports.view = function (state, role) {
 
 /**
  * Saves the current state to the undo stack.
+ * The log is stored as its length so that undo can drop the lines written since.
  */
 function push_undo(game) {
+    if (has_option(game, "no_undo")) return;
     let copy = Object.assign({}, game);
     delete copy.undo;
-    delete copy.log;
     delete copy.seed;
     delete copy.scenario;
     delete copy.options;
+    copy.log = game.log.length;
     game.undo.push(JSON.parse(JSON.stringify(copy)));
 }
 
+/**
+ * Restores the most recent undo snapshot in place.
+ * The undo stack, seed, scenario and options carry over unchanged.
+ */
+function pop_undo(game) {
+    let prev = game.undo.pop();
+    let keep = {
+        undo: game.undo,
+        log: game.log,
+        seed: game.seed,
+        scenario: game.scenario,
+        options: game.options
+    };
+    for (let key in game) delete game[key];
+    Object.assign(game, prev, keep);
+    game.log.length = prev.log;
+}
+
+/**
+ * Empties the undo stack.
+ * Called at every phase boundary and before every die roll.
+ */
+function clear_undo(game) {
+    game.undo = [];
+}
+
+/**
+ * Checks an action against the action set that exports.view offers
+ * to this role in the current state.
+ * List actions must name one of the listed ids; flag actions must be 1.
+ */
+function is_legal_action(game, role, action, args) {
+    let actions = exports.view(game, role).actions;
+    let allowed = actions[action];
+    if (Array.isArray(allowed)) return allowed.includes(args);
+    return allowed === 1;
+}
+
 /**
  * Processes a player action.
  * @param {Object} state - Current game state.
@@ -1045,41 +1779,64 @@ function push_undo(game) {
 exports.action = function (state, role, action, args) {
     let game = state;
 
+    // Reject anything the view does not offer to this role
+    if (!is_legal_action(game, role, action, args)) {
+        throw new Error(`Invalid action: ${role} ${action}` + (args !== undefined ? ` ${args}` : ""));
+    }
+
     // --- SELECTION ACTIONS ---
     if (action === "select") {
-        let unit = data.units.find(u => u.id === args);
+        let unit = UNITS[args];
         if (unit.side.toLowerCase() !== role.toLowerCase()) return game;
         game.selected = args;
+        game.group = null;
+    }
+    if (action === "deselect") {
+        game.selected = null;
+        game.group = null;
+    }
+    if (action === "select_stack") {
+        game.group = get_stack_candidates(game, game.selected);
+    }
+    if (action === "drop_from_stack" && game.state === "combat_retreat") {
+        // The dropped unit retreats on its own once this stack has gone
+        push_undo(game);
+        game.retreat_group = game.retreat_group.filter(id => id !== args);
+        game.retreat_unit = game.retreat_group[0];
+        game.retreat_options = Object.keys(get_retreat_paths(game, game.retreat_unit, game.retreat_group.length));
+    } else if (action === "drop_from_stack") {
+        game.group = game.group.filter(id => id !== args);
+        game.selected = game.group[0];
+        if (game.group.length < 2) game.group = null;
     }
-    if (action === "deselect") game.selected = null;
 
     // --- UNDO ACTION ---
     if (action === "undo") {
         if (game.undo.length > 0) {
-            let prev = game.undo.pop();
-            game.pieces = prev.pieces;
-            game.stance = prev.stance;
-            game.moved = prev.moved || {};
-            game.attacks = prev.attacks || [];
-            game.selected = null;
+            pop_undo(game);
         }
     }
 
     // --- SETUP ACTIONS ---
     if (action === "set_stance") {
         push_undo(game);
-        game.pieces["marker_stance"] = args;
+        set_piece(game, "marker_stance", args);
         game.stance = (args === "track_land") ? "Land" : "Naval";
     }
     if (action === "place") {
         if (!game.selected) return game;
         push_undo(game);
-        game.pieces[game.selected] = args;
+        set_piece(game, game.selected, args);
+        game.selected = null;
+    }
+    if (action === "auto_deploy") {
+        push_undo(game);
         game.selected = null;
+        auto_deploy(game, (game.state === "setup_german") ? "german" : "soviet");
     }
     if (action === "end_setup") {
         game.selected = null;
-        game.undo = [];
+        clear_undo(game);
         if (game.state === "setup_german") {
             game.active = "Soviet";
             game.state = "setup_soviet";
@@ -1093,7 +1850,8 @@ exports.action = function (state, role, action, args) {
 
     // --- EVENT PHASE ACTIONS ---
     if (action === "roll_event") {
-        let die = Math.floor(Math.random() * 6) + 1;
+        clear_undo(game);
+        let die = roll_d6(game);
         let modifiers = 0;
         let sov_chits = count_russian_activation_chits(game);
         if (sov_chits === 0) modifiers += 1;
@@ -1140,11 +1898,13 @@ exports.action = function (state, role, action, args) {
         }
     }
     if (action === "choose_navy") {
+        clear_undo(game);
         game.log.push("German chose: German Navy");
         place_chit(game, "ger_navy");
         game.state = "evacuation_phase";
     }
     if (action === "choose_shipping") {
+        clear_undo(game);
         game.log.push("German chose: German Shipping");
         place_chit(game, "ger_ship");
         game.state = "evacuation_phase";
@@ -1152,15 +1912,16 @@ exports.action = function (state, role, action, args) {
 
     // --- EVACUATION PHASE ACTIONS ---
     if (action === "roll_evacuation") {
+        clear_undo(game);
         game.log.push("--- Evacuation Phase ---");
         let land_cef = 0;
         if (game.major_exodus) {
-            let d1 = Math.floor(Math.random() * 6) + 1;
-            let d2 = Math.floor(Math.random() * 6) + 1;
+            let d1 = roll_d6(game);
+            let d2 = roll_d6(game);
             land_cef = d1 + d2;
             game.log.push(`Land (Major Exodus): rolled ${d1}+${d2} = ${land_cef} CEF`);
         } else {
-            let die = Math.floor(Math.random() * 6) + 1;
+            let die = roll_d6(game);
             let base_cef = (die <= 2) ? 1 : (die <= 5) ? 2 : 3;
             if (is_fully_occupied_by(game, [20, 21, 22, 23, 24, 25], "german")) {
                 base_cef *= 2;
@@ -1171,7 +1932,7 @@ exports.action = function (state, role, action, args) {
             land_cef = base_cef;
         }
         game.cef += land_cef;
-        let die = Math.floor(Math.random() * 6) + 1;
+        let die = roll_d6(game);
         let mod = 0;
         mod += count_chits_in_box(game, "ger_navy");
         mod += count_chits_in_box(game, "ger_ship");
@@ -1209,17 +1970,17 @@ exports.action = function (state, role, action, args) {
             game.state = "movement_german";
             game.active = "German";
         }
-        game.undo = [];
     }
 
     // --- RUSSIAN REACTION PHASE ACTIONS ---
     if (action === "roll_reaction") {
-        let die = Math.floor(Math.random() * 6) + 1;
+        clear_undo(game);
+        let die = roll_d6(game);
         game.log.push(`Russian Reaction: rolled ${die}`);
 
         if (die === 6) {
             game.log.push("Rolled 6: Roll again for Major Sinking.");
-            let die2 = Math.floor(Math.random() * 6) + 1;
+            let die2 = roll_d6(game);
             let mod = count_chits_in_box(game, "ger_navy");
             let final = die2 + mod;
             game.log.push(`Second Roll: ${die2} + ${mod} (German Navy) = ${final}`);
@@ -1237,7 +1998,6 @@ exports.action = function (state, role, action, args) {
 
         game.state = "movement_german";
         game.active = "German";
-        game.undo = [];
     }
 
     // --- MOVEMENT ACTIONS ---
@@ -1245,23 +2005,41 @@ exports.action = function (state, role, action, args) {
         if (!game.selected) throw new Error("No selection");
         let unitId = game.selected;
         let dest = args;
-        let validMoves = get_valid_moves(game, unitId);
-        if (!validMoves.includes(dest)) throw new Error("Invalid move");
+        let unit = UNITS[unitId];
+        let group = game.group || [unitId];
+        let path = (game.group ? get_group_move_paths(game, group) : get_move_paths(game, unitId))[dest];
+        if (!path) throw new Error("Invalid move");
 
         push_undo(game);
 
-        game.pieces[unitId] = dest;
-        game.moved[unitId] = (game.moved[unitId] || 0) + 1;
+        let start = game.pieces[unitId];
+        group.forEach(id => {
+            set_piece(game, id, dest);
+            game.moved[id] = (game.moved[id] || 0) + path.length;
+        });
 
-        if (game.moved[unitId] >= 3) {
-            game.selected = null;
+        let names = group.map(id => UNITS[id].name).join(", ");
+        let verb = (group.length > 1) ? "move" : "moves";
+        if (is_adjacent_to_enemy(game, dest, unit.side)) {
+            // Must stop when entering a point adjacent to the enemy
+            group.forEach(id => game.moved[id] = MOVEMENT_POINTS);
+            game.log.push(`${names} ${verb} ${[start, ...path].join(" → ")} and stop${verb === "moves" ? "s" : ""} adjacent to the enemy.`);
+        } else {
+            game.log.push(`${names} ${verb} ${[start, ...path].join(" → ")}.`);
         }
+
+        // Units out of moves drop out of the selection
+        let remaining = group.filter(id => game.moved[id] < MOVEMENT_POINTS);
+        game.selected = remaining.length > 0 ? remaining[0] : null;
+        game.group = remaining.length > 1 ? remaining : null;
     }
 
     if (action === "stop") {
         if (!game.selected) throw new Error("No selection");
-        game.moved[game.selected] = 3; // Cap movement
+        push_undo(game);
+        (game.group || [game.selected]).forEach(id => game.moved[id] = MOVEMENT_POINTS); // Cap movement
         game.selected = null;
+        game.group = null;
     }
 
     if (action === "end_movement") {
@@ -1270,10 +2048,12 @@ exports.action = function (state, role, action, args) {
             game.state = (game.active === "German") ? "elimination_german" : "elimination_soviet";
             game.log.push(`Stacking limits exceeded. Eliminate units.`);
             game.selected = null;
+            game.group = null;
             return game;
         }
         game.selected = null;
-        game.undo = [];
+        game.group = null;
+        clear_undo(game);
         game.moved = {};
         if (game.state === "movement_german") {
             game.state = "movement_soviet";
@@ -1292,8 +2072,8 @@ exports.action = function (state, role, action, args) {
     if (action === "eliminate") {
         if (!game.selected) throw new Error("No unit selected");
         push_undo(game);
-        game.pieces[game.selected] = null;
-        game.log.push(`${data.units.find(u => u.id === game.selected).name} eliminated.`);
+        set_piece(game, game.selected, null);
+        game.log.push(`${UNITS[game.selected].name} eliminated.`);
         game.selected = null;
     }
 
@@ -1301,7 +2081,7 @@ exports.action = function (state, role, action, args) {
         let issues = check_stacking_limits(game);
         if (issues.length > 0) throw new Error("Still overstacked.");
 
-        game.undo = []; // Clear undo
+        clear_undo(game);
 
         if (game.state === "elimination_german") {
             game.state = "movement_soviet";
@@ -1321,7 +2101,7 @@ exports.action = function (state, role, action, args) {
         if (!game.selected) throw new Error("No attacker selected");
         let targetId = args;
         let attackerId = game.selected;
-        let attacker = data.units.find(u => u.id === attackerId);
+        let attacker = UNITS[attackerId];
         let source = game.pieces[attackerId];
 
         // Verify adjacency
@@ -1341,14 +2121,18 @@ exports.action = function (state, role, action, args) {
         game.selected = null;
     }
 
+    if (action === "cancel_attack") {
+        push_undo(game);
+        game.attacks = game.attacks.filter(a => a.attacker !== args);
+    }
+
     if (action === "end_combat_setup") {
         game.selected = null;
-        game.undo = [];
+        clear_undo(game);
         if (game.attacks.length === 0) {
             game.log.push("No attacks declared.");
             if (game.active === "Soviet") {
                 // Soviet Turn Ends -> End of Turn Phase
-                check_supply(game); // Update supply
                 game.state = "end_of_turn";
                 game.active = "German";
                 game.log.push("End of Turn Phase.");
@@ -1370,106 +2154,42 @@ exports.action = function (state, role, action, args) {
                 game.moved = {};
             }
         } else {
+            game.battles = group_battles(game.attacks, game.active.toLowerCase());
             game.state = "combat_resolve";
-            game.combat_index = 0; // Start with first attack
+            game.combat_index = 0; // Start with first battle
             game.log.push("Attacks declared. Starting Resolution.");
         }
     }
 
     // --- COMBAT RESOLUTION ACTIONS ---
     if (action === "roll_combat") {
-        let attack = game.attacks[game.combat_index];
-        let attacker = data.units.find(u => u.id === attack.attacker);
-
-        // Handle Space Target (Empty Space)
-        if (data.spaces.some(s => s.id === attack.target)) {
-            // Handle Attack on Empty Space
-            // Rules allow targeting empty points to advance into them.
-            game.log.push(`${attacker.name} attacks empty point ${attack.target}.`);
-            check_advance_after_combat(game, attack.target);
-        }
-
-        let target = data.units.find(u => u.id === attack.target);
-
-        // Check if attack is still valid (Target present in adjacent space)
-        let targetSpace = game.pieces[target.id];
-        let attackerSpace = game.pieces[attacker.id];
-        if (!targetSpace || !attackerSpace) {
-            game.log.push("Invalid attack (unit missing). Skipped.");
-            game.combat_index++;
-            return game;
-        }
+        clear_undo(game);
+        let battle = game.battles[game.combat_index];
 
-        // Check for Fort protection
-        // Attacks on units sharing a space with a non-eliminated Fort are ineffective.
-        if (target.type !== 'fort') {
-            let unitsInSpace = get_units_in_space(game, targetSpace);
-            if (unitsInSpace.some(u => u.type === 'fort')) {
-                game.log.push(`Attack on ${target.name} ineffective: Protected by Fort.`);
-                game.combat_index++;
-                return game;
-            }
-        }
-
-        // Execute Attack
-        let die = Math.floor(Math.random() * 6) + 1;
-        game.log.push(`${attacker.name} attacks ${target.name}. Rolled ${die} (Combat ${attacker.combat}).`);
+        // One die per attacker; each roll at or below the unit's Combat value is a hit.
+        let attackers = get_battle_attackers(game, battle).map(id => UNITS[id]);
+        let strength = attackers.reduce((sum, u) => sum + u.combat, 0);
+        game.log.push(`Battle: ${describe_battle(game, battle)} (Combat ${strength}).`);
 
-        if (die <= attacker.combat) {
-            let defDie = Math.floor(Math.random() * 6) + 1;
-            let cohesion = get_effective_cohesion(game, target);
-            game.log.push(`Hit! ${target.name} cohesion roll: ${defDie} (Cohesion ${cohesion}).`);
+        let rolls = attackers.map(u => roll_d6(game));
+        battle.hits = attackers.filter((u, i) => rolls[i] <= u.combat).length;
+        let rollText = attackers.map((u, i) => `${rolls[i]} (${u.name} ${u.combat})`).join(", ");
+        game.log.push(`>Rolled ${rollText}: ${battle.hits === 0 ? "Miss" : battle.hits + (battle.hits === 1 ? " hit" : " hits")}.`);
 
-            if (defDie <= cohesion) {
-                game.log.push("No Effect (Saved).");
-                game.combat_index++;
-            } else {
-                let isEliminated = (defDie >= target.cohesion + 2);
-                let isRetreat = (defDie === target.cohesion + 1);
+        continue_battle(game);
+    }
 
-                if (target.type === 'fort' && isRetreat) {
-                    game.log.push("Fort cannot retreat. Eliminated.");
-                    isEliminated = true;
-                    isRetreat = false;
-                }
+    if (action === "occupy") {
+        // Attack on an empty point: no die roll, the attackers may advance into it.
+        let battle = game.battles[game.combat_index];
+        let names = get_battle_attackers(game, battle).map(id => UNITS[id].name);
+        game.log.push(`Unopposed: ${names.join(", ")} attack${names.length === 1 ? "s" : ""} empty point ${battle.space}.`);
+        check_advance_after_combat(game, battle.space, true);
+    }
 
-                if (isEliminated) {
-                    game.log.push("Result: Eliminated.");
-                    game.pieces[target.id] = null;
-                    check_advance_after_combat(game, targetSpace);
-                } else if (isRetreat) {
-                    game.log.push("Result: Retreat.");
-                    let retreats = get_retreat_options(game, target.id);
-                    if (retreats.length === 0) {
-                        game.log.push("No retreat path. Eliminated.");
-                        game.pieces[target.id] = null;
-                        check_advance_after_combat(game, targetSpace);
-                    } else if (retreats.length === 1) {
-                        game.pieces[target.id] = retreats[0];
-                        game.log.push(`${target.name} retreats to ${retreats[0]}.`);
-                        check_advance_after_combat(game, targetSpace);
-                    } else {
-                        game.state = "combat_retreat";
-                        game.retreat_unit = target.id;
-                        game.retreat_options = retreats;
-                        game.retreat_original_space = targetSpace; // Store for advance check
-
-                        // Switch active player if defender is not active
-                        let defenderSide = (target.side === "soviet") ? "Soviet" : "German";
-                        if (game.active !== defenderSide) {
-                            game.combat_last_active = game.active;
-                            game.active = defenderSide;
-                            game.log.push(`Control passes to ${defenderSide} for retreat.`);
-                        }
-
-                        return game;
-                    }
-                }
-            }
-        } else {
-            game.log.push("Miss.");
-            game.combat_index++;
-        }
+    if (action === "absorb") {
+        clear_undo(game);
+        resolve_hit(game, args);
     }
 
     if (action === "next_attack") {
@@ -1480,27 +2200,29 @@ exports.action = function (state, role, action, args) {
         if (!game.retreat_unit) throw new Error("No retreat unit");
         let dest = args;
         if (!game.retreat_options.includes(dest)) throw new Error("Invalid retreat");
-
-        let unit = data.units.find(u => u.id === game.retreat_unit);
-        game.pieces[game.retreat_unit] = dest;
-        game.log.push(`${unit.name} retreats to ${dest}.`);
-
-        // Check advance
-        let originalSpace = game.retreat_original_space;
+        clear_undo(game); // Control may pass back to the attacker
+
+        let group = game.retreat_group;
+        let battle = game.battles[game.combat_index];
+        let start = game.pieces[game.retreat_unit];
+        let path = get_retreat_paths(game, game.retreat_unit, group.length)[dest];
+        group.forEach(id => set_piece(game, id, dest));
+        let names = group.map(id => UNITS[id].name).join(", ");
+        game.log.push(`>${names} retreat${group.length === 1 ? "s" : ""} ${[start, ...path].join(" → ")}.`);
+        update_supply(game);
+
+        battle.retreating = battle.retreating.filter(id => !group.includes(id));
         game.retreat_unit = null;
+        game.retreat_group = null;
         game.retreat_options = null;
-        game.retreat_original_space = null;
-
-        // Restore active player
-        if (game.combat_last_active) {
-            game.active = game.combat_last_active;
-            game.combat_last_active = null;
-        }
 
-        check_advance_after_combat(game, originalSpace);
+        continue_battle(game);
     }
 
     if (action === "done_advance") {
+        clear_undo(game);
+        game.selected = null;
+        game.group = null;
         game.state = "combat_resolve";
         game.combat_index++;
         game.advance_space = null;
@@ -1509,19 +2231,32 @@ exports.action = function (state, role, action, args) {
 
     if (action === "advance_to") {
         if (!game.selected) throw new Error("No unit selected");
-        let unitId = game.selected;
-        if (!game.advance_candidates.includes(unitId)) throw new Error("Invalid advance unit");
+        let group = game.group || [game.selected];
+        if (!group.every(id => can_advance(game, id))) throw new Error("Invalid advance unit");
+        if (count_stacked_units(game, game.advance_space) + group.length > STACKING_LIMIT) throw new Error("Stacking limit reached");
 
-        game.pieces[unitId] = game.advance_space;
-        game.log.push(`${data.units.find(u => u.id === unitId).name} advances.`);
+        push_undo(game);
+
+        let first = count_stacked_units(game, game.advance_space) === 0;
+        group.forEach(id => {
+            set_piece(game, id, game.advance_space);
+            game.log.push(`>${UNITS[id].name} advances to ${game.advance_space}.`);
+        });
+        update_supply(game);
+        if (first) {
+            let threats = get_advance_threats(game);
+            if (threats.length > 0)
+                game.log.push(`>Now threatens ${threats.map(t => t.ring ? `${t.space} (${t.ring} ring)` : t.space).join(", ")}.`);
+        }
         game.selected = null;
+        game.group = null;
         // Stay in advance state to allow more units
     }
 
     if (action === "end_combat") {
+        clear_undo(game);
         if (game.active === "Soviet") {
             // Soviet Turn Ends -> End of Turn Phase
-            check_supply(game); // Update supply before end of turn
             game.state = "end_of_turn";
             game.active = "German";
             game.attacks = [];
@@ -1543,24 +2278,26 @@ exports.action = function (state, role, action, args) {
             }
         }
         game.combat_index = 0;
+        game.battles = [];
     }
 
     // --- END OF TURN ACTIONS ---
     if (action === "attempt_stance_change") {
-        if (game.stance_attempts >= 3) throw new Error("Max attempts reached");
+        if (game.stance_attempts >= MAX_STANCE_ATTEMPTS) throw new Error("Max attempts reached");
         if (game.stance_attempt_this_turn) throw new Error("Already attempted this turn");
 
+        clear_undo(game);
         game.stance_attempts++;
         game.stance_attempt_this_turn = true;
-        let die = Math.floor(Math.random() * 6) + 1;
-        game.log.push(`Stance Change Attempt (${game.stance_attempts}/3): Rolled ${die}.`);
+        let die = roll_d6(game);
+        game.log.push(`Stance Change Attempt (${game.stance_attempts}/${MAX_STANCE_ATTEMPTS}): Rolled ${die}.`);
 
         if (die <= 5) {
             let newStance = (game.stance === "Land") ? "Naval" : "Land";
             game.stance = newStance;
             // Update marker position
             let target = (newStance === "Land") ? "track_land" : "track_naval";
-            game.pieces["marker_stance"] = target;
+            set_piece(game, "marker_stance", target);
             game.log.push(`Success! Stance changed to ${newStance}.`);
         } else {
             game.log.push("Failure (Rolled 6). Stance remains unchanged.");
@@ -1568,6 +2305,7 @@ exports.action = function (state, role, action, args) {
     }
 
     if (action === "end_turn") {
+        clear_undo(game);
         // CHECK GAME OVER
         // If Russian units occupy any two (or more) Königsberg points (48-52).
         let occupiedCount = 0;
@@ -1577,21 +2315,31 @@ exports.action = function (state, role, action, args) {
             }
         }
 
+        let decisive = CEF_VICTORY_LEVELS[0];
+
         if (occupiedCount >= 2) {
-            game.state = "game_over";
-            game.victory = "Russian Victory (Konigsberg Occupied)";
-            game.log.push("GAME OVER: Russian Victory!");
+            goto_game_over(game, "Soviet", "Russian Victory (Konigsberg Occupied)");
+        } else if (game.cef >= get_cef_threshold(game, decisive)) {
+            // Sudden death: enough CEF evacuated before the last turn
+            goto_game_over(game, decisive.result, decisive.victory);
+        } else if (game.turn >= get_last_turn(game)) {
+            // Final scoring on the CEF track
+            let level = get_cef_victory_level(game, game.cef);
+            goto_game_over(game, level.result, level.victory);
         } else {
             // New Turn
             game.turn++;
             game.active = "German";
             game.state = "event_phase";
             game.stance_attempt_this_turn = false; // Reset for new turn
-            game.log.push(`Turn ${game.turn} begins.`);
+            game.log.push(`Turn ${game.turn} of ${get_last_turn(game)} begins.`);
             game.attacks = [];
+            game.battles = [];
             game.moved = {};
         }
     }
 
+    update_supply(game);
+
     return game;
 };
\ No newline at end of file
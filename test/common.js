@@ -0,0 +1,22 @@
+"use strict";
+
+/**
+ * Shared step builders for the scenario files.
+ */
+
+/**
+ * Steps that deploy both sides and finish setup, leaving the game in the Event Phase.
+ * @param {Object} german - { unitId: space } for German units that matter to the scenario.
+ * @param {Object} soviet - { unitId: space } for Soviet units that matter to the scenario.
+ * @param {Object} [opts] - { stance, german_rest, soviet_rest } overrides.
+ */
+exports.setup_steps = function (german, soviet, opts) {
+    opts = opts || {};
+    return [
+        ["German", "set_stance", opts.stance || "track_land"],
+        { deploy: "German", units: german, rest: opts.german_rest },
+        ["German", "end_setup"],
+        { deploy: "Soviet", units: soviet, rest: opts.soviet_rest },
+        ["Soviet", "end_setup"],
+    ];
+};
@@ -0,0 +1,202 @@
+"use strict";
+
+/**
+ * EVACUATION OF KÖNIGSBERG - Headless Scenario Tests
+ *
+ * Loads rules.js (and with it data.js) outside the server and replays scripted
+ * action sequences from test/scenarios/*.js with a fixed seed.
+ *
+ * Usage: node test/run.js [name filter]
+ *
+ * A scenario is { name, seed, scenario, options, steps }. Each step is one of:
+ *   [role, action, args]          - Send an action (must be accepted).
+ *   { reject: [role, action, args] } - Send an action that must be rejected.
+ *   { deploy: role, units, rest } - Place the listed units ({ unitId: space }),
+ *                                   then every other unplaced unit on the first
+ *                                   legal space from 'rest'.
+ *   { dice: [d1, d2, ...] }       - Reseed so the next die rolls come up as listed.
+ *   { until: state }              - Take the default "proceed" action until the
+ *                                   game reaches the given state.
+ *   { set: { ... } }              - Overwrite game fields (turn, cef, ...) to jump to a
+ *                                   late position; 'pieces' moves only the listed units.
+ *   { expect: { ... } }           - Check the game (see check_expect).
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const rules = require("../rules.js");
+
+// Default reserve spaces, chosen away from the points the scenarios fight over.
+const DEFAULT_REST = {
+    German: ["48", "49", "51", "52", "50", "42", "43", "44", "45", "46", "47"],
+    Soviet: ["8", "9", "10", "11", "12", "13", "14", "15", "16", "17", "18", "19"],
+};
+
+// Actions used by { until } to move the game along, in order of preference.
+const PROCEED_ACTIONS = [
+    "roll_event",
+    "choose_shipping",
+    "roll_evacuation",
+    "roll_reaction",
+    "end_movement",
+    "end_elimination",
+    "end_combat_setup",
+    "next_attack",
+    "done_advance",
+    "end_combat",
+    "end_turn",
+];
+
+/**
+ * Finds a seed whose next rolls are the given dice.
+ * Mirrors the generator in rules.js:random().
+ */
+function find_seed(dice) {
+    for (let seed = 1; ; seed++) {
+        let s = seed;
+        let ok = dice.every(d => {
+            s = s * 200105 % 34359738337;
+            return s % 6 + 1 === d;
+        });
+        if (ok) return seed;
+    }
+}
+
+function deploy(game, role, units, rest) {
+    for (let uid in units) {
+        game = rules.action(game, role, "select", uid);
+        game = rules.action(game, role, "place", units[uid]);
+    }
+    rest = rest || DEFAULT_REST[role];
+    for (; ;) {
+        let actions = rules.view(game, role).actions;
+        let uid = (actions.select || []).find(id => game.pieces[id] === null);
+        if (!uid) break;
+        game = rules.action(game, role, "select", uid);
+        let space = rest.find(s => rules.view(game, role).actions.place.includes(s));
+        if (!space) throw new Error(`No reserve space left for ${uid}`);
+        game = rules.action(game, role, "place", space);
+    }
+    return game;
+}
+
+function proceed_until(game, state) {
+    for (let i = 0; game.state !== state; i++) {
+        if (i > 100) throw new Error(`Never reached ${state}`);
+        let role = game.active;
+        let actions = rules.view(game, role).actions;
+        let verb = PROCEED_ACTIONS.find(a => actions[a] === 1);
+        if (!verb) throw new Error(`Cannot proceed from ${game.state} to ${state}`);
+        game = rules.action(game, role, verb);
+    }
+    return game;
+}
+
+/**
+ * Overwrites game fields. Pieces go into a new object so that the rules
+ * rebuild their board index for it.
+ */
+function set_fields(game, fields) {
+    for (let key in fields) {
+        if (key === "pieces")
+            game.pieces = Object.assign({}, game.pieces, fields.pieces);
+        else
+            game[key] = fields[key];
+    }
+    return game;
+}
+
+/**
+ * Checks expectations against the game.
+ * Plain keys compare against game fields (state, active, cef, turn, ...).
+ * 'pieces' compares only the listed units.
+ * 'log' lists lines that must appear in the log, 'log_absent' lines that must not.
+ * 'prompt' and 'view' are keyed by role and compare against exports.view.
+ */
+function check_expect(game, expect) {
+    for (let key in expect) {
+        let want = expect[key];
+        if (key === "pieces") {
+            for (let uid in want)
+                assert.strictEqual(game.pieces[uid], want[uid], `pieces.${uid}`);
+        } else if (key === "log") {
+            for (let line of want)
+                assert.ok(game.log.includes(line), `log is missing "${line}"`);
+        } else if (key === "log_absent") {
+            for (let line of want)
+                assert.ok(!game.log.includes(line), `log still has "${line}"`);
+        } else if (key === "prompt") {
+            for (let role in want) {
+                let prompt = rules.view(game, role).prompt;
+                if (want[role] instanceof RegExp)
+                    assert.match(prompt, want[role], `${role} prompt`);
+                else
+                    assert.strictEqual(prompt, want[role], `${role} prompt`);
+            }
+        } else if (key === "view") {
+            for (let role in want) {
+                let view = rules.view(game, role);
+                for (let field in want[role])
+                    assert.deepStrictEqual(view[field], want[role][field], `${role} view.${field}`);
+            }
+        } else {
+            assert.deepStrictEqual(game[key], want, key);
+        }
+    }
+}
+
+function run_scenario(scenario) {
+    let game = rules.setup(scenario.seed, scenario.scenario || "Standard Game", scenario.options || {});
+    scenario.steps.forEach((step, i) => {
+        try {
+            if (Array.isArray(step)) {
+                game = rules.action(game, step[0], step[1], step[2]);
+            } else if (step.reject) {
+                let [role, action, args] = step.reject;
+                assert.throws(() => rules.action(game, role, action, args), `${action} was accepted`);
+            } else if (step.deploy) {
+                game = deploy(game, step.deploy, step.units || {}, step.rest);
+            } else if (step.dice) {
+                game.seed = find_seed(step.dice);
+            } else if (step.until) {
+                game = proceed_until(game, step.until);
+            } else if (step.set) {
+                game = set_fields(game, step.set);
+            } else if (step.expect) {
+                check_expect(game, step.expect);
+            }
+        } catch (err) {
+            err.message = `step ${i} ${JSON.stringify(step)}: ${err.message}`;
+            throw err;
+        }
+    });
+}
+
+function main() {
+    let filter = process.argv[2];
+    let dir = path.join(__dirname, "scenarios");
+    let pass = 0;
+    let fail = 0;
+
+    for (let file of fs.readdirSync(dir).filter(f => f.endsWith(".js")).sort()) {
+        for (let scenario of require(path.join(dir, file))) {
+            let name = `${file.replace(/\.js$/, "")}: ${scenario.name}`;
+            if (filter && !name.includes(filter)) continue;
+            try {
+                run_scenario(scenario);
+                console.log(`ok - ${name}`);
+                pass++;
+            } catch (err) {
+                console.log(`not ok - ${name}\n    ${err.message}`);
+                fail++;
+            }
+        }
+    }
+
+    console.log(`\n${pass} passed, ${fail} failed`);
+    if (fail > 0) process.exitCode = 1;
+}
+
+main();
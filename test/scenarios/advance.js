@@ -0,0 +1,121 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+module.exports = [
+    {
+        name: "attacker advances into the vacated point",
+        seed: 6,
+        steps: [
+            ...setup_steps({ german_ger_56_1: "24" }, { soviet_sov_39_1: "23" }),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "end_combat_setup"],
+            { dice: [2, 6] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    state: "combat_advance",
+                    advance_space: "23",
+                    prompt: { German: "Advance After Combat: Select units to advance into 23 (room for 3)." },
+                },
+            },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "advance_to"],
+            { expect: { pieces: { german_ger_56_1: "23" }, log: [">56th Inf advances to 23."] } },
+            ["German", "done_advance"],
+            { expect: { state: "combat_resolve", prompt: { German: "Combat finished." } } },
+        ],
+    },
+    {
+        name: "attack on an empty point advances without a die roll up to the stacking limit",
+        seed: 6,
+        steps: [
+            ...setup_steps(
+                {
+                    german_ger_56_1: "24",
+                    german_ger_56_2: "24",
+                    german_ger_56_3: "20",
+                    german_ger_56_4: "20",
+                },
+                { soviet_sov_39_1: "23" }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_3"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_4"],
+            ["German", "target", "21"],
+            ["German", "end_combat_setup"],
+            {
+                expect: {
+                    prompt: { German: "Combat Resolution: 56th Inf, 56th Inf, 56th Inf, 56th Inf vs empty point at 21. Advance without a die roll." },
+                },
+            },
+            { reject: ["German", "roll_combat"] },
+            ["German", "occupy"],
+            {
+                expect: {
+                    state: "combat_advance",
+                    advance_space: "21",
+                    log: ["Unopposed: 56th Inf, 56th Inf, 56th Inf, 56th Inf attack empty point 21."],
+                },
+            },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "advance_to"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "advance_to"],
+            ["German", "select", "german_ger_56_3"],
+            ["German", "advance_to"],
+            {
+                expect: {
+                    pieces: { german_ger_56_1: "21", german_ger_56_2: "21", german_ger_56_3: "21", german_ger_56_4: "20" },
+                    prompt: { German: "Advance After Combat: 21 is full." },
+                },
+            },
+            { reject: ["German", "select", "german_ger_56_4"] },
+            ["German", "done_advance"],
+            { expect: { state: "combat_resolve", combat_index: 1 } },
+        ],
+    },
+    {
+        name: "Soviet advance keeps armies apart and shows the fort points it now threatens",
+        seed: 6,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24" },
+                { soviet_sov_39_1: "19", soviet_sov_43_1: "21" },
+                { soviet_rest: ["8", "9", "10", "11", "12", "13", "14", "15", "16", "17", "18"] }
+            ),
+            { until: "combat_setup" },
+            ["German", "end_combat_setup"],
+            { until: "combat_setup" },
+            ["Soviet", "select", "soviet_sov_39_1"],
+            ["Soviet", "target", "20"],
+            ["Soviet", "select", "soviet_sov_43_1"],
+            ["Soviet", "target", "20"],
+            ["Soviet", "end_combat_setup"],
+            ["Soviet", "occupy"],
+            {
+                expect: {
+                    state: "combat_advance",
+                    view: { German: { advance_threats: [{ space: "25", ring: "outer" }] } },
+                },
+            },
+            ["Soviet", "select", "soviet_sov_39_1"],
+            ["Soviet", "advance_to"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "20" },
+                    log: [">39th Army advances to 20.", ">Now threatens 25 (outer ring)."],
+                    view: { Soviet: { actions: { done_advance: 1, select: [], undo: 1 } } },
+                },
+            },
+            { reject: ["Soviet", "select", "soviet_sov_43_1"] },
+        ],
+    },
+];
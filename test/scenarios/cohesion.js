@@ -0,0 +1,47 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// Soviet reserves kept north so the Germans can walk into points 21-23.
+const SOVIET_REST = ["2", "3", "5", "6", "7", "8", "9", "10", "11", "12", "13", "14"];
+
+module.exports = [
+    {
+        name: "holding points 21-24 raises German cohesion and shows in the breakdown",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24", german_ger_56_3: "24", german_ger_56_4: "20" },
+                {},
+                { soviet_rest: SOVIET_REST }
+            ),
+            {
+                expect: {
+                    view: {
+                        Soviet: {
+                            german_cohesion: { outer_lost: [], inner_lost: [], enhance_1: false, enhance_2: false, modifier: 0 },
+                        },
+                    },
+                },
+            },
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "move", "23"],
+            ["German", "stop"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "move", "22"],
+            ["German", "stop"],
+            ["German", "select", "german_ger_56_4"],
+            ["German", "move", "21"],
+            {
+                expect: {
+                    view: {
+                        German: {
+                            german_cohesion: { outer_lost: [], inner_lost: [], enhance_1: false, enhance_2: true, modifier: 1 },
+                        },
+                    },
+                },
+            },
+        ],
+    },
+];
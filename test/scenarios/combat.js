@@ -0,0 +1,178 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+const ATTACK = { attacker: "german_ger_56_1", target: "soviet_sov_39_1", source: "24", targetSpace: "23" };
+
+const setup = [
+    ...setup_steps({ german_ger_56_1: "24" }, { soviet_sov_39_1: "23" }),
+    { until: "combat_setup" },
+    ["German", "select", "german_ger_56_1"],
+    {
+        expect: {
+            view: {
+                German: {
+                    target_odds: {
+                        soviet_sov_39_1: { taker: "soviet_sov_39_1", miss: 12, saved: 16, retreat: 4, eliminated: 4 },
+                    },
+                },
+            },
+        },
+    },
+    ["German", "target", "soviet_sov_39_1"],
+    { expect: { view: { Soviet: { attacks: [{ ...ATTACK, status: "declared" }] } } } },
+    ["German", "end_combat_setup"],
+    {
+        expect: {
+            state: "combat_resolve",
+            prompt: { German: "Combat Resolution: 56th Inf vs 39th Army at 23." },
+            view: { Soviet: { attacks: [{ ...ATTACK, status: "current" }] } },
+        },
+    },
+    { reject: ["Soviet", "roll_combat"] },
+];
+
+module.exports = [
+    {
+        name: "attack roll above combat strength misses",
+        seed: 4,
+        steps: [
+            ...setup,
+            { dice: [5] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "23" },
+                    log: ["Battle: 56th Inf vs 39th Army at 23 (Combat 4).", ">Rolled 5 (56th Inf 4): Miss."],
+                    prompt: { German: "Combat finished." },
+                    view: { German: { attacks: [{ ...ATTACK, status: "resolved" }] } },
+                },
+            },
+            ["German", "end_combat"],
+            { expect: { state: "combat_setup", active: "Soviet", view: { German: { attacks: [] } } } },
+        ],
+    },
+    {
+        name: "cohesion roll of cohesion + 2 eliminates the target",
+        seed: 4,
+        steps: [
+            ...setup,
+            { dice: [2, 6] },
+            ["German", "roll_combat"],
+            { expect: { pieces: { soviet_sov_39_1: null }, log: [">39th Army takes a hit: rolled 6 (Cohesion 4): Eliminated."] } },
+        ],
+    },
+    {
+        name: "cohesion roll at or below cohesion saves the target",
+        seed: 4,
+        steps: [
+            ...setup,
+            { dice: [4, 4] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "23" },
+                    log: [">Rolled 4 (56th Inf 4): 1 hit.", ">39th Army takes a hit: rolled 4 (Cohesion 4): Saved."],
+                    state: "combat_resolve",
+                    combat_index: 1,
+                },
+            },
+        ],
+    },
+    {
+        name: "attacks on one point form a single battle and the defender assigns each hit",
+        seed: 4,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "20" },
+                { soviet_sov_39_1: "21", soviet_sov_39_2: "21" }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            ["German", "end_combat_setup"],
+            { expect: { battles: [{ space: "21", side: "german", attackers: ["german_ger_56_1", "german_ger_56_2"], hits: 0 }] } },
+            { dice: [1, 1] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    state: "combat_assign",
+                    active: "Soviet",
+                    log: ["Battle: 56th Inf, 56th Inf vs 39th Army, 39th Army at 21 (Combat 8).", ">Rolled 1 (56th Inf 4), 1 (56th Inf 4): 2 hits."],
+                    prompt: { Soviet: "Battle at 21: Choose a unit to take a hit (2 left)." },
+                    view: { Soviet: { actions: { absorb: ["soviet_sov_39_1", "soviet_sov_39_2"], undo: 0 } } },
+                },
+            },
+            { reject: ["German", "absorb", "soviet_sov_39_1"] },
+            { dice: [1] },
+            ["Soviet", "absorb", "soviet_sov_39_1"],
+            { dice: [6] },
+            ["Soviet", "absorb", "soviet_sov_39_2"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "21", soviet_sov_39_2: null },
+                    log: [">39th Army takes a hit: rolled 1 (Cohesion 4): Saved.", ">39th Army takes a hit: rolled 6 (Cohesion 4): Eliminated."],
+                    state: "combat_resolve",
+                    active: "German",
+                    combat_index: 1,
+                },
+            },
+        ],
+    },
+    {
+        name: "a Fort takes the hits for the units sharing its point",
+        seed: 4,
+        steps: [
+            ...setup_steps({ german_ger_56_1: "25" }, { soviet_sov_39_1: "24" }),
+            { dice: [3] },
+            { until: "combat_setup" },
+            ["German", "end_combat_setup"],
+            ["Soviet", "select", "soviet_sov_39_1"],
+            ["Soviet", "target", "german_ger_56_1"],
+            ["Soviet", "end_combat_setup"],
+            { dice: [1, 6] },
+            ["Soviet", "roll_combat"],
+            {
+                expect: {
+                    pieces: { fort_25: null, german_ger_56_1: "25" },
+                    log: [">Fort takes a hit: rolled 6 (Cohesion 4): Eliminated."],
+                },
+            },
+        ],
+    },
+    {
+        name: "retracting an attack gives back its attack point",
+        seed: 4,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "20", german_ger_56_3: "4" },
+                { soviet_sov_39_1: "23", soviet_sov_39_2: "21", soviet_sov_39_3: "5" }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            {
+                expect: {
+                    prompt: { German: "Combat Phase: Designate Attacks. (Points: 2/2)" },
+                    view: { German: { actions: { end_combat_setup: 1, undo: 1, cancel_attack: ["german_ger_56_1", "german_ger_56_2"], select: [] } } },
+                },
+            },
+            { reject: ["German", "select", "german_ger_56_3"] },
+            { reject: ["Soviet", "cancel_attack", "german_ger_56_2"] },
+            ["German", "cancel_attack", "german_ger_56_2"],
+            {
+                expect: {
+                    attacks: [{ attacker: "german_ger_56_1", target: "soviet_sov_39_1", source: "24", targetSpace: "23" }],
+                    prompt: { German: "Combat Phase: Designate Attacks. (Points: 1/2)" },
+                },
+            },
+            ["German", "select", "german_ger_56_3"],
+            ["German", "target", "soviet_sov_39_3"],
+            { expect: { prompt: { German: "Combat Phase: Designate Attacks. (Points: 2/2)" } } },
+        ],
+    },
+];
@@ -0,0 +1,60 @@
+"use strict";
+
+module.exports = [
+    {
+        name: "Quick Start deploys both sides and begins in the Event Phase",
+        seed: 1,
+        scenario: "Quick Start",
+        steps: [
+            {
+                expect: {
+                    state: "event_phase",
+                    active: "German",
+                    stance: "Land",
+                    pieces: {
+                        marker_stance: "track_land",
+                        german_ger_561_1: "30",
+                        german_ger_pz5_3: "52",
+                        soviet_sov_39_1: "2",
+                        soviet_sov_11_6: "23",
+                    },
+                    log: ["Quick Start: units deployed, Land stance. Setup skipped."],
+                },
+            },
+            {
+                expect: {
+                    view: {
+                        Soviet: {
+                            turn: 1,
+                            last_turn: 8,
+                            phase: "event",
+                            stance: "Land",
+                            major_exodus: false,
+                            russian_halt: false,
+                            major_sinking_last_turn: false,
+                            stance_attempts: 0,
+                            max_stance_attempts: 3,
+                        },
+                    },
+                },
+            },
+            ["German", "roll_event"],
+            { until: "movement_german" },
+            { expect: { view: { German: { phase: "german_movement" } } } },
+            { until: "combat_setup" },
+            { expect: { view: { German: { phase: "german_combat" } } } },
+        ],
+    },
+    {
+        name: "Historical deployment is confirmed by both sides",
+        seed: 1,
+        scenario: "Historical",
+        steps: [
+            { expect: { state: "setup_german", prompt: { German: "All units placed. End Setup to continue." } } },
+            ["German", "end_setup"],
+            { expect: { prompt: { Soviet: "All units placed. End Setup to continue." } } },
+            ["Soviet", "end_setup"],
+            { expect: { state: "event_phase", view: { Soviet: { out_of_supply: [] } } } },
+        ],
+    },
+];
@@ -0,0 +1,38 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+module.exports = [
+    {
+        name: "moving a fourth unit into a point forces an elimination",
+        seed: 7,
+        steps: [
+            ...setup_steps(
+                {
+                    german_ger_56_1: "3",
+                    german_ger_56_2: "3",
+                    german_ger_56_3: "3",
+                    german_ger_56_4: "4",
+                },
+                {}
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_4"],
+            ["German", "move", "3"],
+            ["German", "end_movement"],
+            {
+                expect: {
+                    state: "elimination_german",
+                    view: { German: { overstacked: ["3"] } },
+                    prompt: { German: "Stacking limit exceeded! Select a unit to eliminate." },
+                },
+            },
+            { reject: ["German", "end_elimination"] },
+            ["German", "select", "german_ger_56_4"],
+            ["German", "eliminate"],
+            { expect: { pieces: { german_ger_56_4: null }, log: ["56th Inf eliminated."] } },
+            ["German", "end_elimination"],
+            { expect: { state: "movement_soviet", active: "Soviet" } },
+        ],
+    },
+];
@@ -0,0 +1,63 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+module.exports = [
+    {
+        name: "land and sea rolls add CEF, then the Soviet player reacts",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [4] },
+            ["German", "roll_event"],
+            { dice: [4, 3] },
+            ["German", "roll_evacuation"],
+            {
+                expect: {
+                    cef: 4,
+                    sea_cef_this_turn: 2,
+                    state: "russian_reaction_phase",
+                    active: "Soviet",
+                    log: ["Land: rolled 4 = 2 CEF", "Sea: rolled 3 (+0) = 3 -> 2 CEF"],
+                    prompt: { Soviet: "Russian Reaction Phase: Roll for Major Sinking." },
+                },
+            },
+            { reject: ["German", "roll_reaction"] },
+        ],
+    },
+    {
+        name: "Shipping chit modifies the sea roll and a Major Sinking costs 1 CEF",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [3] },
+            ["German", "roll_event"],
+            { dice: [1, 1] },
+            ["German", "roll_evacuation"],
+            { expect: { cef: 2, log: ["Land: rolled 1 = 1 CEF", "Sea: rolled 1 (+1) = 2 -> 1 CEF"] } },
+            { dice: [6, 2] },
+            ["Soviet", "roll_reaction"],
+            {
+                expect: {
+                    cef: 1,
+                    major_sinking_last_turn: true,
+                    state: "movement_german",
+                    active: "German",
+                    log: ["Result: Major Sinking! (-1 Sea CEF)"],
+                },
+            },
+        ],
+    },
+    {
+        name: "no sea CEF skips the Russian Reaction Phase",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [4] },
+            ["German", "roll_event"],
+            { dice: [2, 1] },
+            ["German", "roll_evacuation"],
+            { expect: { cef: 1, sea_cef_this_turn: 0, state: "movement_german", active: "German" } },
+        ],
+    },
+];
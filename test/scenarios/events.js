@@ -0,0 +1,70 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// With no Russian Activation chits the Event roll gets +1.
+module.exports = [
+    {
+        name: "roll of 2 lets the German player choose Navy or Shipping",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [1] },
+            ["German", "roll_event"],
+            { expect: { state: "event_choice", log: ["Event Roll: 1 (+1) = 2", "Result: German Navy OR Shipping"] } },
+            { reject: ["German", "roll_evacuation"] },
+            ["German", "choose_navy"],
+            { expect: { state: "evacuation_phase", pieces: { neutral_chit_1: "track_ger_navy1" } } },
+        ],
+    },
+    {
+        name: "roll of 3 is Russian Halt in Land stance",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}, { stance: "track_land" }),
+            { dice: [2] },
+            ["German", "roll_event"],
+            { expect: { state: "evacuation_phase", russian_halt: true, log: ["Result: Russian Halt"] } },
+        ],
+    },
+    {
+        name: "roll of 3 is German Navy in Naval stance",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}, { stance: "track_naval" }),
+            { dice: [2] },
+            ["German", "roll_event"],
+            { expect: { russian_halt: false, pieces: { neutral_chit_1: "track_ger_navy1" }, log: ["Result: German Navy"] } },
+        ],
+    },
+    {
+        name: "roll of 4 adds a German Shipping chit",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [3] },
+            ["German", "roll_event"],
+            { expect: { pieces: { neutral_chit_1: "track_ger_ship1" }, log: ["Result: German Shipping"] } },
+        ],
+    },
+    {
+        name: "roll of 5 is Russian Halt",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [4] },
+            ["German", "roll_event"],
+            { expect: { russian_halt: true, log: ["Event Roll: 4 (+1) = 5", "Result: Russian Halt"] } },
+        ],
+    },
+    {
+        name: "roll of 6 adds a Russian Activation chit",
+        seed: 1,
+        steps: [
+            ...setup_steps({}, {}),
+            { dice: [5] },
+            ["German", "roll_event"],
+            { expect: { pieces: { neutral_chit_1: "track_sov_act1" }, log: ["Result: Russian Activation"] } },
+        ],
+    },
+];
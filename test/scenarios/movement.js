@@ -0,0 +1,90 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// Soviet reserves kept north-west so that only 39th Army unit 1 (at 22) is near the Germans at 24.
+const SOVIET_REST = ["2", "3", "5", "6", "7", "8", "9", "10", "11", "12", "13", "14"];
+
+module.exports = [
+    {
+        name: "unit moves several points in one action and the path is logged",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            { reject: ["German", "select", "fort_25"] },
+            ["German", "select", "german_ger_56_1"],
+            { reject: ["German", "move", "22"] },
+            {
+                expect: {
+                    view: {
+                        German: {
+                            move_paths: {
+                                "16": ["20", "18", "16"], "17": ["20", "18", "17"], "18": ["20", "18"],
+                                "19": ["20", "19"], "20": ["20"], "21": ["21"], "23": ["23"], "25": ["25"],
+                                "26": ["20", "26"], "27": ["20", "18", "27"], "39": ["20", "26", "39"],
+                                "40": ["25", "40"], "41": ["25", "41"], "42": ["25", "40", "42"], "43": ["25", "40", "43"],
+                            },
+                        },
+                    },
+                },
+            },
+            { reject: ["German", "move", "52"] },
+            ["German", "move", "26"],
+            {
+                expect: {
+                    pieces: { german_ger_56_1: "26" },
+                    moved: { german_ger_56_1: 2 },
+                    selected: "german_ger_56_1",
+                    log: ["56th Inf moves 24 → 20 → 26."],
+                    prompt: { German: "Select destination (1 moves left)." },
+                },
+            },
+            ["German", "stop"],
+            { expect: { moved: { german_ger_56_1: 3 }, selected: null } },
+        ],
+    },
+    {
+        name: "entering a point adjacent to the enemy ends movement",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_2"],
+            ["German", "move", "21"],
+            {
+                expect: {
+                    pieces: { german_ger_56_2: "21" },
+                    moved: { german_ger_56_2: 3 },
+                    selected: null,
+                    log: ["56th Inf moves 24 → 21 and stops adjacent to the enemy."],
+                },
+            },
+            { reject: ["German", "select", "german_ger_56_2"] },
+        ],
+    },
+    {
+        name: "a Soviet unit cannot end its move among another army",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_soviet" },
+            ["Soviet", "select", "soviet_sov_39_8"],
+            // 6 holds the 43rd Army; 2 and 3 are full of the 39th, which only costs an elimination later
+            { expect: { view: { Soviet: { move_paths: { "1": ["2", "1"], "2": ["2"], "3": ["3"], "4": ["4"] } } } } },
+            { reject: ["Soviet", "move", "6"] },
+        ],
+    },
+];
@@ -0,0 +1,57 @@
+"use strict";
+
+module.exports = [
+    {
+        name: "chosen options are echoed into the log at game start",
+        seed: 1,
+        options: { no_undo: "true", short_game: "true", forts: "reduced" },
+        steps: [
+            {
+                expect: {
+                    log: [
+                        "Option: No undo.",
+                        "Option: Short game (6 turns).",
+                        "Option: Forts: Reduced (outer ring and 50).",
+                    ],
+                },
+            },
+        ],
+    },
+    {
+        name: "no undo option never offers undo",
+        seed: 1,
+        options: { no_undo: "true" },
+        steps: [
+            ["German", "set_stance", "track_land"],
+            ["German", "select", "german_ger_56_1"],
+            ["German", "place", "24"],
+            { expect: { undo: [] } },
+            { reject: ["German", "undo"] },
+        ],
+    },
+    {
+        name: "fort variants remove forts from the map",
+        seed: 1,
+        options: { forts: "outer_only" },
+        steps: [
+            { expect: { pieces: { fort_25: "25", fort_32: "32", fort_42: null, fort_50: null } } },
+        ],
+    },
+    {
+        name: "historical sectors restrict where each Soviet army sets up",
+        seed: 1,
+        options: { historical_sectors: "true" },
+        steps: [
+            ["German", "set_stance", "track_land"],
+            { deploy: "German" },
+            ["German", "end_setup"],
+            ["Soviet", "select", "soviet_sov_39_1"],
+            { reject: ["Soviet", "place", "12"] },
+            ["Soviet", "place", "3"],
+            ["Soviet", "select", "soviet_sov_11_1"],
+            { reject: ["Soviet", "place", "3"] },
+            ["Soviet", "place", "22"],
+            { expect: { pieces: { soviet_sov_39_1: "3", soviet_sov_11_1: "22" } } },
+        ],
+    },
+];
@@ -0,0 +1,238 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+const SOVIET_REST = ["8", "9", "10", "11", "12", "13", "14", "15", "16", "17", "18"];
+
+module.exports = [
+    {
+        name: "defender chooses the retreat even with a single path",
+        seed: 5,
+        steps: [
+            ...setup_steps({ german_ger_56_1: "24" }, { soviet_sov_39_1: "23" }),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 5] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    state: "combat_retreat",
+                    active: "Soviet",
+                    retreat_options: ["22"],
+                    log: [">39th Army takes a hit: rolled 5 (Cohesion 4): Retreat."],
+                },
+            },
+            ["Soviet", "retreat", "22"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "22" },
+                    log: [">39th Army retreats 23 → 22."],
+                    state: "combat_advance",
+                },
+            },
+        ],
+    },
+    {
+        name: "defender chooses between several retreat paths",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24" },
+                { soviet_sov_39_1: "21" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "move", "22"],
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 5] },
+            ["German", "roll_combat"],
+            {
+                expect: {
+                    state: "combat_retreat",
+                    active: "Soviet",
+                    retreat_options: ["19", "20", "24"],
+                    log: [">39th Army takes a hit: rolled 5 (Cohesion 4): Retreat.", "Control passes to Soviet for retreat."],
+                },
+            },
+            { reject: ["German", "retreat", "24"] },
+            { reject: ["Soviet", "retreat", "22"] },
+            ["Soviet", "retreat", "24"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "24" },
+                    log: [">39th Army retreats 21 → 24."],
+                    state: "combat_advance",
+                    active: "German",
+                    advance_candidates: ["german_ger_56_1"],
+                },
+            },
+        ],
+    },
+    {
+        name: "retreat avoids points adjacent to the enemy",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "20" },
+                { soviet_sov_39_1: "21" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 5] },
+            ["German", "roll_combat"],
+            { expect: { state: "combat_retreat", retreat_options: ["22"] } },
+            { reject: ["Soviet", "retreat", "19"] },
+        ],
+    },
+    {
+        name: "retreat chains through a full friendly point",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24" },
+                { soviet_sov_39_1: "23", soviet_sov_39_2: "22", soviet_sov_39_3: "22", soviet_sov_39_4: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 5] },
+            ["German", "roll_combat"],
+            { expect: { state: "combat_retreat", retreat_options: ["21"] } },
+            ["Soviet", "retreat", "21"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "21" },
+                    log: [">39th Army retreats 23 → 22 → 21."],
+                },
+            },
+        ],
+    },
+    {
+        name: "units retreating from the same point retreat as a stack, or apart",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "21", soviet_sov_39_2: "21" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "select_stack"],
+            ["German", "move", "22"],
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 1, 5, 5] },
+            ["German", "roll_combat"],
+            ["Soviet", "absorb", "soviet_sov_39_1"],
+            {
+                expect: {
+                    state: "combat_retreat",
+                    retreat_group: ["soviet_sov_39_1", "soviet_sov_39_2"],
+                    retreat_options: ["19", "20", "24"],
+                    prompt: { Soviet: "Retreat 39th Army, 39th Army from 21 to where?" },
+                    view: { Soviet: { actions: { retreat: ["19", "20", "24"], drop_from_stack: ["soviet_sov_39_1", "soviet_sov_39_2"], undo: 0 } } },
+                },
+            },
+            ["Soviet", "drop_from_stack", "soviet_sov_39_1"],
+            { expect: { retreat_group: ["soviet_sov_39_2"], retreat_unit: "soviet_sov_39_2" } },
+            ["Soviet", "retreat", "19"],
+            { expect: { state: "combat_retreat", retreat_group: ["soviet_sov_39_1"], log: [">39th Army retreats 21 → 19."] } },
+            ["Soviet", "retreat", "24"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "24", soviet_sov_39_2: "19" },
+                    state: "combat_advance",
+                    active: "German",
+                },
+            },
+        ],
+    },
+    {
+        name: "a stack retreats together to a point with room for all of it",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "23", soviet_sov_39_2: "23", soviet_sov_39_3: "22", soviet_sov_39_4: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 1, 5, 5] },
+            ["German", "roll_combat"],
+            ["Soviet", "absorb", "soviet_sov_39_1"],
+            // 22 has room for one more unit only, so the stack goes on to 21
+            { expect: { state: "combat_retreat", retreat_options: ["21"] } },
+            ["Soviet", "retreat", "21"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "21", soviet_sov_39_2: "21" },
+                    log: [">39th Army, 39th Army retreat 23 → 22 → 21."],
+                },
+            },
+        ],
+    },
+    {
+        name: "a stack without room to retreat together retreats one unit at a time",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                {
+                    german_ger_56_1: "24",
+                    german_ger_56_2: "24",
+                    german_ger_56_3: "20",
+                    german_ger_56_4: "20",
+                    german_ger_62_1: "24",
+                },
+                { soviet_sov_39_1: "22", soviet_sov_39_2: "22", soviet_sov_39_3: "21", soviet_sov_39_4: "21" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "select_stack"],
+            ["German", "drop_from_stack", "german_ger_62_1"],
+            ["German", "move", "23"],
+            ["German", "select", "german_ger_56_3"],
+            ["German", "move", "19"],
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 1, 5, 5] },
+            ["German", "roll_combat"],
+            ["Soviet", "absorb", "soviet_sov_39_1"],
+            // 21 has room for one of the two units only
+            { expect: { state: "combat_retreat", retreat_group: ["soviet_sov_39_1"], retreat_options: ["21"] } },
+            ["Soviet", "retreat", "21"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "21", soviet_sov_39_2: null },
+                    log: [">39th Army retreats 22 → 21.", ">39th Army: No retreat path: Eliminated."],
+                    state: "combat_advance",
+                },
+            },
+        ],
+    },
+];
@@ -0,0 +1,85 @@
+"use strict";
+
+module.exports = [
+    {
+        name: "German setup places units and passes to the Soviet player",
+        seed: 1,
+        steps: [
+            { expect: { state: "setup_german", active: "German" } },
+            { expect: { prompt: { German: "German Setup: Choose your Stance.", Soviet: "German is setting up..." } } },
+            { reject: ["Soviet", "set_stance", "track_land"] },
+            ["German", "set_stance", "track_naval"],
+            { expect: { stance: "Naval", pieces: { marker_stance: "track_naval" } } },
+            { expect: { prompt: { German: "German Setup: 23 units remaining." } } },
+            { reject: ["German", "end_setup"] },
+            { reject: ["German", "select", "soviet_sov_39_1"] },
+            ["German", "select", "german_ger_56_1"],
+            { reject: ["German", "place", "22"] },
+            ["German", "place", "24"],
+            { expect: { pieces: { german_ger_56_1: "24" }, selected: null } },
+            { deploy: "German" },
+            { expect: { prompt: { German: "All units placed. End Setup to continue." } } },
+            ["German", "end_setup"],
+            { expect: { state: "setup_soviet", active: "Soviet", log: ["German setup finished."] } },
+        ],
+    },
+    {
+        name: "Soviet setup keeps to points 2-24 without mixing armies",
+        seed: 2,
+        steps: [
+            ["German", "set_stance", "track_land"],
+            { deploy: "German", units: { german_ger_56_1: "24" } },
+            ["German", "end_setup"],
+            ["Soviet", "select", "soviet_sov_39_1"],
+            { reject: ["Soviet", "place", "24"] },
+            { reject: ["Soviet", "place", "25"] },
+            ["Soviet", "place", "23"],
+            ["Soviet", "select", "soviet_sov_43_1"],
+            { reject: ["Soviet", "place", "23"] },
+            ["Soviet", "place", "22"],
+            { deploy: "Soviet" },
+            ["Soviet", "end_setup"],
+            {
+                expect: {
+                    state: "event_phase",
+                    active: "German",
+                    pieces: { soviet_sov_39_1: "23", soviet_sov_43_1: "22" },
+                    prompt: { German: "Event Phase: German to roll." },
+                },
+            },
+        ],
+    },
+    {
+        name: "Auto Deploy fills the forts first and keeps Soviet armies apart",
+        seed: 1,
+        steps: [
+            ["German", "set_stance", "track_land"],
+            ["German", "select", "german_ger_56_1"],
+            ["German", "place", "1"],
+            ["German", "auto_deploy"],
+            {
+                expect: {
+                    pieces: { german_ger_56_1: "1", german_ger_56_2: "25", german_ger_69_4: "44", german_ger_pz5_3: "31" },
+                    prompt: { German: "All units placed. End Setup to continue." },
+                    log: ["German auto-deploys 22 units."],
+                },
+            },
+            { reject: ["German", "auto_deploy"] },
+            // Placed units can still be moved before ending setup
+            ["German", "select", "german_ger_56_1"],
+            ["German", "place", "2"],
+            { expect: { pieces: { german_ger_56_1: "2" } } },
+            ["German", "end_setup"],
+            ["Soviet", "auto_deploy"],
+            {
+                expect: {
+                    pieces: { soviet_sov_39_1: "3", soviet_sov_39_4: "4", soviet_sov_43_1: "7", soviet_sov_11_6: "19" },
+                    prompt: { Soviet: "All units placed. End Setup to continue." },
+                    log: ["Soviet auto-deploys 33 units."],
+                },
+            },
+            ["Soviet", "undo"],
+            { expect: { prompt: { Soviet: "Soviet Setup: 33 units remaining." } } },
+        ],
+    },
+];
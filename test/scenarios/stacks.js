@@ -0,0 +1,112 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// Soviet reserves kept north-west so that only 39th Army unit 1 (at 22) is near the Germans.
+const SOVIET_REST = ["2", "3", "5", "6", "7", "8", "9", "10", "11", "12", "13", "14"];
+
+module.exports = [
+    {
+        name: "a stack moves together and units leave it when out of moves",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "select_stack"],
+            {
+                expect: {
+                    selected: "german_ger_56_1",
+                    group: ["german_ger_56_1", "german_ger_56_2"],
+                    prompt: { German: "Select destination for the stack of 2 (3 moves left)." },
+                },
+            },
+            ["German", "move", "26"],
+            {
+                expect: {
+                    pieces: { german_ger_56_1: "26", german_ger_56_2: "26" },
+                    moved: { german_ger_56_1: 2, german_ger_56_2: 2 },
+                    group: ["german_ger_56_1", "german_ger_56_2"],
+                    log: ["56th Inf, 56th Inf move 24 → 20 → 26."],
+                },
+            },
+            ["German", "drop_from_stack", "german_ger_56_1"],
+            { expect: { selected: "german_ger_56_2", group: null } },
+            ["German", "move", "27"],
+            { expect: { pieces: { german_ger_56_1: "26", german_ger_56_2: "27" }, selected: null } },
+        ],
+    },
+    {
+        name: "a stack advances together up to the room left in the point",
+        seed: 6,
+        steps: [
+            ...setup_steps(
+                {
+                    german_ger_56_1: "24",
+                    german_ger_56_2: "24",
+                    german_ger_56_3: "20",
+                    german_ger_56_4: "20",
+                },
+                { soviet_sov_39_1: "23" }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_3"],
+            ["German", "target", "21"],
+            ["German", "select", "german_ger_56_4"],
+            ["German", "target", "21"],
+            ["German", "end_combat_setup"],
+            ["German", "occupy"],
+            ["German", "select", "german_ger_56_3"],
+            ["German", "select_stack"],
+            ["German", "advance_to"],
+            {
+                expect: {
+                    pieces: { german_ger_56_3: "21", german_ger_56_4: "21" },
+                    log: [">56th Inf advances to 21."],
+                    group: null,
+                    prompt: { German: "Advance After Combat: Select units to advance into 21 (room for 1)." },
+                },
+            },
+            ["German", "select", "german_ger_56_1"],
+            { reject: ["German", "select_stack"] },
+            ["German", "advance_to"],
+            { expect: { pieces: { german_ger_56_1: "21", german_ger_56_2: "24" } } },
+        ],
+    },
+    {
+        name: "a stack is not offered a point without room for all of it",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24", german_ger_56_3: "20", german_ger_56_4: "20" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            // On its own the unit may still overstack 20 (settled in the elimination phase)
+            {
+                expect: {
+                    view: {
+                        German: {
+                            actions: {
+                                undo: 0, end_movement: 1, select_stack: 1, deselect: 1,
+                                move: ["16", "17", "18", "19", "20", "21", "23", "25", "26", "27", "39", "40", "41", "42", "43"],
+                            },
+                        },
+                    },
+                },
+            },
+            ["German", "select_stack"],
+            { reject: ["German", "move", "20"] },
+        ],
+    },
+];
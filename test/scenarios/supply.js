@@ -0,0 +1,79 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+module.exports = [
+    {
+        name: "Soviet unit cut off from points 2-24 is out of supply",
+        seed: 3,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "3", german_ger_56_2: "3", german_ger_56_3: "4" },
+                { soviet_sov_39_1: "2" }
+            ),
+            { until: "movement_soviet" },
+            ["Soviet", "select", "soviet_sov_39_1"],
+            ["Soviet", "move", "1"],
+            { expect: { pieces: { soviet_sov_39_1: "1" }, view: { Soviet: { out_of_supply: [] } } } },
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "move", "2"],
+            {
+                expect: {
+                    view: {
+                        Soviet: { out_of_supply: ["soviet_sov_39_1"] },
+                        German: {
+                            out_of_supply: ["soviet_sov_39_1"],
+                            supply: {
+                                reachable: ["5", "6", "7", "8", "9", "10", "11", "12", "13", "14", "15",
+                                    "16", "17", "18", "19", "20", "21", "22", "23", "24"],
+                                blocked: ["2", "3", "4"],
+                                pockets: [{ points: ["1"], cut_by: ["2", "3", "4", "32"] }],
+                            },
+                        },
+                    },
+                    supply: {
+                        oos: ["soviet_sov_39_1"],
+                        history: [{ turn: 2, state: "movement_german", out: ["soviet_sov_39_1"], restored: [] }],
+                    },
+                },
+            },
+            ["German", "undo"],
+            { expect: { supply: { oos: [], history: [] } } },
+        ],
+    },
+    {
+        name: "a retreat that cuts off a Soviet unit updates supply within the action",
+        seed: 6,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "2", german_ger_56_2: "3", german_ger_56_3: "3" },
+                { soviet_sov_39_1: "4", soviet_sov_39_2: "6" }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_3"],
+            ["German", "move", "5"],
+            { until: "movement_soviet" },
+            ["Soviet", "select", "soviet_sov_39_1"],
+            ["Soviet", "move", "1"],
+            { until: "combat_setup" },
+            ["German", "end_combat_setup"],
+            { until: "combat_setup" },
+            ["Soviet", "select", "soviet_sov_39_2"],
+            ["Soviet", "target", "german_ger_56_3"],
+            ["Soviet", "end_combat_setup"],
+            { dice: [1, 4] },
+            ["Soviet", "roll_combat"],
+            { expect: { state: "combat_retreat", retreat_options: ["4"], supply: { oos: [], history: [] } } },
+            ["German", "retreat", "4"],
+            {
+                expect: {
+                    supply: {
+                        oos: ["soviet_sov_39_1"],
+                        history: [{ turn: 1, state: "combat_retreat", out: ["soviet_sov_39_1"], restored: [] }],
+                    },
+                },
+            },
+        ],
+    },
+];
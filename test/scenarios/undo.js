@@ -0,0 +1,94 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// Soviet reserves kept north-west, away from the Germans at 24.
+const SOVIET_REST = ["2", "3", "5", "6", "7", "8", "9", "10", "11", "12", "13", "14"];
+
+module.exports = [
+    {
+        name: "undoing a stack move restores the selection and trims the log",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "22" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "select_stack"],
+            ["German", "move", "26"],
+            { expect: { pieces: { german_ger_56_1: "26" }, log: ["56th Inf, 56th Inf move 24 → 20 → 26."] } },
+            ["German", "undo"],
+            {
+                expect: {
+                    state: "movement_german",
+                    active: "German",
+                    selected: "german_ger_56_1",
+                    group: ["german_ger_56_1", "german_ger_56_2"],
+                    pieces: { german_ger_56_1: "24", german_ger_56_2: "24" },
+                    moved: {},
+                    log_absent: ["56th Inf, 56th Inf move 24 → 20 → 26."],
+                },
+            },
+            { reject: ["German", "undo"] },
+        ],
+    },
+    {
+        name: "undoing a target restores the attacker selection and the attacks",
+        seed: 8,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "23" },
+                { soviet_rest: SOVIET_REST }
+            ),
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            { expect: { selected: null, attacks: [{ attacker: "german_ger_56_1", target: "soviet_sov_39_1", source: "24", targetSpace: "23" }] } },
+            ["German", "undo"],
+            { expect: { state: "combat_setup", active: "German", selected: "german_ger_56_1", attacks: [] } },
+        ],
+    },
+    {
+        name: "undoing the split of a retreating stack restores the retreat",
+        seed: 5,
+        steps: [
+            ...setup_steps(
+                { german_ger_56_1: "24", german_ger_56_2: "24" },
+                { soviet_sov_39_1: "21", soviet_sov_39_2: "21" },
+                { soviet_rest: ["8", "9", "10", "11", "12", "13", "14", "15", "16", "17", "18"] }
+            ),
+            { until: "movement_german" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "select_stack"],
+            ["German", "move", "22"],
+            { until: "combat_setup" },
+            ["German", "select", "german_ger_56_1"],
+            ["German", "target", "soviet_sov_39_1"],
+            ["German", "select", "german_ger_56_2"],
+            ["German", "target", "soviet_sov_39_2"],
+            ["German", "end_combat_setup"],
+            { dice: [1, 1, 5, 5] },
+            ["German", "roll_combat"],
+            ["Soviet", "absorb", "soviet_sov_39_1"],
+            ["Soviet", "drop_from_stack", "soviet_sov_39_1"],
+            { expect: { retreat_unit: "soviet_sov_39_2", retreat_group: ["soviet_sov_39_2"] } },
+            ["Soviet", "undo"],
+            {
+                expect: {
+                    state: "combat_retreat",
+                    active: "Soviet",
+                    retreat_unit: "soviet_sov_39_1",
+                    retreat_group: ["soviet_sov_39_1", "soviet_sov_39_2"],
+                    retreat_options: ["19", "20", "24"],
+                },
+            },
+            ["Soviet", "retreat", "24"],
+            { expect: { state: "combat_advance", active: "German" } },
+            { reject: ["German", "undo"] },
+        ],
+    },
+];
@@ -0,0 +1,112 @@
+"use strict";
+
+const { setup_steps } = require("../common.js");
+
+// German reserves kept out of Königsberg, so Soviet units can be put there.
+const GERMAN_REST = ["42", "43", "44", "45", "46", "47", "25", "26", "27", "28", "29", "30", "31", "32"];
+
+/**
+ * Steps that play to the End of Turn Phase, then set the turn and CEF before ending it.
+ */
+function end_turn_steps(turn, cef) {
+    return [
+        ...setup_steps({}, {}),
+        { until: "end_of_turn" },
+        { set: { turn: turn, cef: cef } },
+        ["German", "end_turn"],
+    ];
+}
+
+module.exports = [
+    {
+        name: "the last turn ends with a Soviet victory below the Draw level",
+        seed: 4,
+        steps: [
+            ...end_turn_steps(8, 24),
+            {
+                expect: {
+                    state: "game_over",
+                    active: "None",
+                    result: "Soviet",
+                    victory: "Soviet Victory (Evacuation Failed)",
+                    log: ["GAME OVER: Soviet Victory (Evacuation Failed) (CEF 24)."],
+                },
+            },
+        ],
+    },
+    {
+        name: "the last turn ends in a Draw from 25 CEF",
+        seed: 4,
+        steps: [
+            ...end_turn_steps(8, 25),
+            { expect: { state: "game_over", result: "Draw", victory: "Draw" } },
+        ],
+    },
+    {
+        name: "the last turn ends in a German Marginal Victory from 35 CEF",
+        seed: 4,
+        steps: [
+            ...end_turn_steps(8, 35),
+            { expect: { state: "game_over", result: "German", victory: "German Marginal Victory" } },
+        ],
+    },
+    {
+        name: "a German Decisive Victory ends the game before the last turn",
+        seed: 4,
+        steps: [
+            ...end_turn_steps(3, 45),
+            {
+                expect: {
+                    state: "game_over",
+                    result: "German",
+                    victory: "German Decisive Victory",
+                    log: ["GAME OVER: German Decisive Victory (CEF 45)."],
+                },
+            },
+        ],
+    },
+    {
+        name: "the game goes on below the Decisive level before the last turn",
+        seed: 4,
+        steps: [
+            ...end_turn_steps(7, 44),
+            { expect: { state: "event_phase", turn: 8, result: null, log: ["Turn 8 of 8 begins."] } },
+        ],
+    },
+    {
+        name: "the short game ends after turn 6 with scaled CEF levels",
+        seed: 4,
+        options: { short_game: "true" },
+        steps: [
+            ...end_turn_steps(6, 26),
+            { expect: { state: "game_over", result: "German", victory: "German Marginal Victory" } },
+        ],
+    },
+    {
+        name: "the short game's Decisive Victory needs only 34 CEF",
+        seed: 4,
+        options: { short_game: "true" },
+        steps: [
+            ...end_turn_steps(2, 34),
+            { expect: { state: "game_over", result: "German", victory: "German Decisive Victory" } },
+        ],
+    },
+    {
+        name: "Soviet units in two Königsberg points win whatever the CEF",
+        seed: 4,
+        steps: [
+            ...setup_steps({}, {}, { german_rest: GERMAN_REST }),
+            { until: "end_of_turn" },
+            { set: { cef: 50, pieces: { soviet_sov_39_1: "51", soviet_sov_43_1: "52" } } },
+            ["German", "end_turn"],
+            {
+                expect: {
+                    state: "game_over",
+                    result: "Soviet",
+                    victory: "Russian Victory (Konigsberg Occupied)",
+                    log: ["GAME OVER: Russian Victory (Konigsberg Occupied) (CEF 50)."],
+                },
+            },
+        ],
+    },
+];
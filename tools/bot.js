@@ -0,0 +1,439 @@
+"use strict";
+
+/**
+ * EVACUATION OF KÖNIGSBERG - Computer Opponent
+ *
+ * A heuristic bot that plays either role offline. It reads only
+ * exports.view (plus the static data.js) and acts only through exports.action.
+ * The game state is opaque to it: to see what selecting a unit would offer,
+ * it sends a real 'select' to a copy of the state and reads that view.
+ *
+ * Usage:
+ *   node tools/bot.js [seed]          - Bot plays both sides and prints the log.
+ *   node tools/bot.js [seed] German   - Play German on the terminal against the bot.
+ *
+ * As a library:
+ *   const bot = require("./tools/bot.js");
+ *   let choice = bot.choose_action(game, "Soviet"); // [action, args] or null
+ */
+
+const rules = require("../rules.js");
+const data = require("../data.js");
+
+// --- BOARD KNOWLEDGE ---
+// Point groups mirror the constants in rules.js.
+const OUTER_FORT_POINTS = ["25", "26", "27", "28", "29", "30", "31", "32"];
+const INNER_FORT_POINTS = ["42", "43", "44", "45", "46", "47"];
+const KONIGSBERG_POINTS = ["48", "49", "50", "51", "52"];
+const LAND_BONUS_POINTS = ["20", "21", "22", "23", "24", "25"];
+
+// Margin a move must gain over standing still before the bot takes it.
+const MOVE_THRESHOLD = 0.5;
+
+// Number of best-scoring moves re-checked against the real supply rules.
+const SUPPLY_CHECKS = 3;
+
+const UNITS = {};
+data.units.forEach(u => UNITS[u.id] = u);
+
+const ADJ = {};
+data.ways.forEach(row => {
+    let source = String(row[0]);
+    for (let i = 1; i < row.length; i++) {
+        let target = String(row[i]);
+        (ADJ[source] = ADJ[source] || []).includes(target) || ADJ[source].push(target);
+        (ADJ[target] = ADJ[target] || []).includes(source) || ADJ[target].push(source);
+    }
+});
+
+// Distance (in points) from every point to the nearest Königsberg point.
+const DIST_KONIGSBERG = {};
+{
+    let queue = KONIGSBERG_POINTS.slice();
+    queue.forEach(p => DIST_KONIGSBERG[p] = 0);
+    while (queue.length > 0) {
+        let current = queue.shift();
+        for (let next of ADJ[current] || []) {
+            if (DIST_KONIGSBERG[next] === undefined) {
+                DIST_KONIGSBERG[next] = DIST_KONIGSBERG[current] + 1;
+                queue.push(next);
+            }
+        }
+    }
+}
+
+// --- POSITION EVALUATION ---
+
+/**
+ * Counts combat units (and Forts) per point and side.
+ * @returns {Object} Map: spaceId -> { german: n, soviet: n }
+ */
+function get_occupancy(pieces) {
+    let occ = {};
+    for (let uid in pieces) {
+        let space = pieces[uid];
+        let u = UNITS[uid];
+        if (!space || u.type === 'chit' || space.startsWith("track_")) continue;
+        if (!occ[space]) occ[space] = { german: 0, soviet: 0 };
+        occ[space][u.side]++;
+    }
+    return occ;
+}
+
+/**
+ * Scores a position from the German point of view (the Soviet score is the negative).
+ * Rewards holding the fort rings, keeping the Soviets away from Königsberg
+ * and cutting Soviet units off from their supply points.
+ * @param {Object} pieces - unitId -> spaceId.
+ * @param {Array} oos - Soviet unit ids out of supply.
+ */
+function evaluate(pieces, oos) {
+    let occ = get_occupancy(pieces);
+    let holds = (p, side) => occ[p] && occ[p][side] > 0;
+    let score = 0;
+
+    for (let p of INNER_FORT_POINTS) {
+        if (holds(p, "german")) score += 6;
+        else if (holds(p, "soviet")) score -= 8;
+        // Threats against the inner ring
+        for (let next of ADJ[p]) {
+            if (holds(next, "soviet")) score -= 1;
+        }
+    }
+    for (let p of OUTER_FORT_POINTS) {
+        if (holds(p, "german")) score += 2;
+        else if (holds(p, "soviet")) score -= 3;
+    }
+    for (let p of KONIGSBERG_POINTS) {
+        if (holds(p, "soviet")) score -= 12;
+    }
+    if (LAND_BONUS_POINTS.every(p => holds(p, "german"))) score += 4;
+
+    for (let uid in pieces) {
+        let space = pieces[uid];
+        if (!space || UNITS[uid].side !== "soviet") continue;
+        if (oos.includes(uid)) score += 3;
+        else score -= Math.max(0, 6 - DIST_KONIGSBERG[space]);
+    }
+    return score;
+}
+
+function score_for(side, pieces, oos) {
+    let score = evaluate(pieces, oos);
+    return (side === "german") ? score : -score;
+}
+
+function with_piece(pieces, uid, space) {
+    let copy = Object.assign({}, pieces);
+    copy[uid] = space;
+    return copy;
+}
+
+/**
+ * Out of supply Soviet units for a hypothetical position. Mirrors the trace in
+ * rules.js: from the setup points 2-24 through points free of German units.
+ */
+function get_supply(pieces) {
+    let occ = get_occupancy(pieces);
+    let open = space => !occ[space] || occ[space].german === 0;
+    let queue = [];
+    for (let i = 2; i <= 24; i++) {
+        if (open(String(i))) queue.push(String(i));
+    }
+    let reachable = new Set(queue);
+    while (queue.length > 0) {
+        let current = queue.shift();
+        for (let next of ADJ[current] || []) {
+            if (!reachable.has(next) && open(next)) {
+                reachable.add(next);
+                queue.push(next);
+            }
+        }
+    }
+    return Object.keys(pieces).filter(uid => UNITS[uid].side === "soviet" && pieces[uid] && !reachable.has(pieces[uid]));
+}
+
+/**
+ * Finds the best destination for a unit among the spaces the rules offer.
+ * Candidates are ranked on the current supply picture; the best few are
+ * re-scored with the supply the rules would compute after the move.
+ * @param {Object} view - The bot's current view (for the pieces).
+ * @returns {Object} { space, gain } or null if no destination beats staying put.
+ */
+function best_destination(view, side, uid, spaces) {
+    let oos = get_supply(view.pieces);
+    let base = score_for(side, view.pieces, oos);
+
+    let ranked = spaces.map(space => ({
+        space: space,
+        score: score_for(side, with_piece(view.pieces, uid, space), oos),
+    }));
+    ranked.sort((a, b) => b.score - a.score);
+
+    let best = null;
+    for (let c of ranked.slice(0, SUPPLY_CHECKS)) {
+        let pieces = with_piece(view.pieces, uid, c.space);
+        let gain = score_for(side, pieces, get_supply(pieces)) - base;
+        if (!best || gain > best.gain) best = { space: c.space, gain: gain };
+    }
+    return (best && best.gain > MOVE_THRESHOLD) ? best : null;
+}
+
+/**
+ * The view the role would get after selecting a unit, from a real 'select'
+ * sent to a copy of the game (the game itself is left untouched).
+ */
+function view_if_selected(game, role, uid) {
+    let probe = rules.action(JSON.parse(JSON.stringify(game)), role, "select", uid);
+    return rules.view(probe, role);
+}
+
+// --- DECISIONS BY PHASE ---
+
+function choose_setup(view, role) {
+    let side = role.toLowerCase();
+    let actions = view.actions;
+    if (actions.set_stance) return ["set_stance", "track_naval"];
+    if (actions.end_setup) return ["end_setup"];
+    if (actions.place) return ["place", best_setup_space(view, side, actions.place)];
+    let unplaced = (actions.select || []).find(uid => view.pieces[uid] === null);
+    if (unplaced) return ["select", unplaced];
+    return null;
+}
+
+/**
+ * Setup placement: Germans man the inner ring first, then the outer ring and the
+ * land evacuation route, valuing each extra unit in a point less so they spread out.
+ * Soviets mass as close to Königsberg as their zone allows, filling a point before
+ * opening a new one (armies may not mix, so half-empty points waste room).
+ */
+function best_setup_space(view, side, spaces) {
+    let occ = get_occupancy(view.pieces);
+    let value = space => {
+        let own = occ[space] ? occ[space][side] : 0;
+        let base;
+        if (side === "german") {
+            if (INNER_FORT_POINTS.includes(space)) base = 10;
+            else if (OUTER_FORT_POINTS.includes(space)) base = 7;
+            else if (LAND_BONUS_POINTS.includes(space)) base = 5;
+            else if (KONIGSBERG_POINTS.includes(space)) base = 4;
+            else base = 1;
+            // Forts already count as a unit here, so discount them
+            if (data.fortification_spaces.includes(Number(space))) own = Math.max(0, own - 1);
+        } else {
+            return 10 - DIST_KONIGSBERG[space] + own * 2;
+        }
+        return base / (1 + own);
+    };
+    return spaces.reduce((best, space) => value(space) > value(best) ? space : best);
+}
+
+function choose_movement(game, view, role) {
+    let side = role.toLowerCase();
+    let actions = view.actions;
+
+    if (view.selected) {
+        let best = actions.move ? best_destination(view, side, view.selected, actions.move) : null;
+        if (best) return ["move", best.space];
+        if (actions.stop) return ["stop"];
+        return ["end_movement"];
+    }
+
+    let choice = null;
+    for (let uid of actions.select || []) {
+        let moves = Object.keys(view_if_selected(game, role, uid).move_paths || {});
+        let best = best_destination(view, side, uid, moves);
+        if (best && (!choice || best.gain > choice.gain)) choice = { uid: uid, gain: best.gain };
+    }
+    if (choice) return ["select", choice.uid];
+    return ["end_movement"];
+}
+
+function choose_elimination(view) {
+    let actions = view.actions;
+    if (actions.end_elimination) return ["end_elimination"];
+    if (actions.eliminate) return ["eliminate"];
+    // Give up the weakest unit
+    let list = actions.select.slice().sort((a, b) => UNITS[a].combat - UNITS[b].combat);
+    return ["select", list[0]];
+}
+
+/**
+ * Attack designation: attacks cost the attacker nothing, so every eligible unit attacks.
+ * Targets are points without a Fort and with the fewest defenders, weighted by the
+ * value of the point; empty points are taken when they bring the unit closer to Königsberg.
+ */
+function choose_attack(game, view, role) {
+    let side = role.toLowerCase();
+    let actions = view.actions;
+
+    if (view.selected) {
+        let occ = get_occupancy(view.pieces);
+        let value = target => {
+            let space = view.pieces[target] || target;
+            let enemy = (side === "german") ? "soviet" : "german";
+            let defenders = occ[space] ? occ[space][enemy] : 0;
+            if (defenders === 0) {
+                if (side === "german") return -1;
+                return DIST_KONIGSBERG[view.pieces[view.selected]] - DIST_KONIGSBERG[space];
+            }
+            let strategic = INNER_FORT_POINTS.includes(space) || KONIGSBERG_POINTS.includes(space) ? 3 :
+                OUTER_FORT_POINTS.includes(space) ? 2 : 1;
+            // Concentrate on points already under attack
+            let allies = view.attacks.filter(a => a.targetSpace === space).length;
+            return strategic + allies + 4 / defenders;
+        };
+        let best = actions.target.reduce((a, b) => value(b) > value(a) ? b : a);
+        if (value(best) > 0) return ["target", best];
+        return ["deselect"];
+    }
+
+    for (let uid of actions.select || []) {
+        let targets = view_if_selected(game, role, uid).actions.target || [];
+        if (targets.length > 0 && targets.some(t => UNITS[t] || side !== "german")) return ["select", uid];
+    }
+    return ["end_combat_setup"];
+}
+
+function choose_absorb(view) {
+    // The sturdiest unit takes the hit
+    let actions = view.actions;
+    let cohesion = uid => view.cohesion[uid] !== undefined ? view.cohesion[uid] : UNITS[uid].cohesion;
+    let list = actions.absorb.slice().sort((a, b) => cohesion(b) - cohesion(a));
+    return ["absorb", list[0]];
+}
+
+function choose_retreat(view, role) {
+    let side = role.toLowerCase();
+    // The whole retreating stack goes to the chosen point
+    let score = space => {
+        let pieces = view.retreat_group.reduce((p, uid) => with_piece(p, uid, space), view.pieces);
+        return score_for(side, pieces, get_supply(pieces));
+    };
+    let best = view.actions.retreat.reduce((a, b) => score(b) > score(a) ? b : a);
+    return ["retreat", best];
+}
+
+function choose_advance(view, role) {
+    let side = role.toLowerCase();
+    let actions = view.actions;
+    if (actions.advance_to) {
+        return ["advance_to"];
+    }
+    for (let uid of actions.select || []) {
+        if (best_destination(view, side, uid, [view.advance_space])) return ["select", uid];
+    }
+    return ["done_advance"];
+}
+
+// Actions that only move the game along, in order of preference.
+const PROCEED_ACTIONS = [
+    "roll_event",
+    "choose_navy",
+    "roll_evacuation",
+    "roll_reaction",
+    "roll_combat",
+    "occupy",
+    "next_attack",
+    "end_combat",
+    "end_turn",
+];
+
+/**
+ * Picks the bot's next action for a role.
+ * The decision step is told apart by the phase and the actions on offer.
+ * @param {Object} game - Current game state (only passed back to the rules).
+ * @param {string} role - "German" or "Soviet".
+ * @returns {Array|null} [action, args], or null if the role has nothing to do.
+ */
+exports.choose_action = function (game, role) {
+    let view = rules.view(game, role);
+    let actions = view.actions;
+    if (!Object.keys(actions).some(a => actions[a] && a !== "undo")) return null;
+
+    if (view.phase === "setup") return choose_setup(view, role);
+    if ("end_movement" in actions) return choose_movement(game, view, role);
+    if (view.phase.endsWith("_movement")) return choose_elimination(view); // Overstacked points
+    if (actions.end_combat_setup) return choose_attack(game, view, role);
+    if (actions.absorb) return choose_absorb(view);
+    if (actions.retreat) return choose_retreat(view, role);
+    if (actions.done_advance) return choose_advance(view, role);
+    // Naval stance triples sea evacuation on a Major Exodus
+    if (actions.attempt_stance_change && view.pieces["marker_stance"] === "track_land")
+        return ["attempt_stance_change"];
+
+    let verb = PROCEED_ACTIONS.find(a => actions[a] === 1);
+    return verb ? [verb] : null;
+};
+
+/**
+ * Lets the bot act for a role until it is the other role's turn or the game ends.
+ * @returns {Object} The new game state.
+ */
+exports.play = function (game, role) {
+    while (rules.view(game, role).active === role) {
+        let choice = exports.choose_action(game, role);
+        if (!choice) break;
+        game = rules.action(game, role, choice[0], choice[1]);
+    }
+    return game;
+};
+
+// --- COMMAND LINE ---
+
+function print_new_log(view, from) {
+    for (let i = from; i < view.log.length; i++) console.log(view.log[i]);
+    return view.log.length;
+}
+
+function bot_vs_bot(seed) {
+    let game = rules.setup(seed, "Standard Game", {});
+    let shown = 0;
+    for (let active; (active = rules.view(game, "Observer").active) !== "None";) {
+        game = exports.play(game, active);
+        shown = print_new_log(rules.view(game, "Observer"), shown);
+    }
+}
+
+function human_vs_bot(seed, human) {
+    const readline = require("readline");
+    let rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let game = rules.setup(seed, "Standard Game", {});
+    let shown = 0;
+
+    function step() {
+        let view = rules.view(game, human);
+        while (view.active !== "None" && view.active !== human) {
+            game = exports.play(game, view.active);
+            view = rules.view(game, human);
+        }
+        shown = print_new_log(view, shown);
+        if (view.active === "None") {
+            rl.close();
+            return;
+        }
+        console.log(`\n${view.prompt}`);
+        for (let a in view.actions) {
+            let x = view.actions[a];
+            if (Array.isArray(x)) console.log(`  ${a} ${x.join(" | ")}`);
+            else if (x) console.log(`  ${a}`);
+        }
+        rl.question("> ", line => {
+            let [action, args] = line.trim().split(/\s+/);
+            try {
+                game = rules.action(game, human, action, args);
+            } catch (err) {
+                console.log(err.message);
+            }
+            step();
+        });
+    }
+    step();
+}
+
+if (require.main === module) {
+    let seed = Number(process.argv[2]) || Date.now() % 34359738337;
+    let human = process.argv[3];
+    if (human) human_vs_bot(seed, human);
+    else bot_vs_bot(seed);
+}
@@ -0,0 +1,204 @@
+"use strict";
+
+/**
+ * EVACUATION OF KÖNIGSBERG - Balance Simulator
+ *
+ * Plays complete games of rules.js offline and reports the win rate by side,
+ * the CEF reached at the end of each turn, how often each Event table result
+ * came up and the average game length.
+ *
+ * Usage:
+ *   node tools/simulate.js [--games N] [--seed S] [--german POLICY] [--soviet POLICY] [--json]
+ *
+ * Policies:
+ *   random - Uniformly random legal actions (leaning towards ending a phase now and then).
+ *   bot    - The heuristic computer opponent from tools/bot.js.
+ */
+
+const rules = require("../rules.js");
+const bot = require("./bot.js");
+
+// Actions that end a step of the sequence of play; 'random' takes one of
+// these now and then so that games finish in a reasonable number of actions.
+const PROCEED_ACTIONS = [
+    "end_setup",
+    "end_movement",
+    "end_elimination",
+    "end_combat_setup",
+    "done_advance",
+    "end_combat",
+    "end_turn",
+];
+
+// Upper bound on actions per game, to report runaway games instead of hanging.
+const MAX_ACTIONS = 20000;
+
+function parse_args(argv) {
+    let opts = { games: 100, seed: 1, german: "random", soviet: "random", json: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case "--games": opts.games = Number(argv[++i]); break;
+            case "--seed": opts.seed = Number(argv[++i]); break;
+            case "--german": opts.german = argv[++i]; break;
+            case "--soviet": opts.soviet = argv[++i]; break;
+            case "--json": opts.json = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    for (let side of ["german", "soviet"]) {
+        if (opts[side] !== "random" && opts[side] !== "bot")
+            throw new Error(`Unknown policy for ${side}: ${opts[side]}`);
+    }
+    return opts;
+}
+
+/**
+ * Creates the random policy. It draws from its own generator so that
+ * a run is reproducible from --seed without touching the game's dice.
+ */
+function make_random_policy(seed) {
+    let state = seed % 2147483647 || 1;
+    let random = range => {
+        state = state * 16807 % 2147483647;
+        return state % range;
+    };
+    return function (game, role) {
+        let actions = rules.view(game, role).actions;
+        let choices = [];
+        for (let a in actions) {
+            if (a === "undo") continue;
+            let x = actions[a];
+            if (Array.isArray(x)) x.forEach(arg => choices.push([a, arg]));
+            else if (x === 1) choices.push([a]);
+        }
+        if (choices.length === 0) return null;
+        let proceed = choices.filter(c => PROCEED_ACTIONS.includes(c[0]));
+        if (proceed.length > 0 && (proceed.length === choices.length || random(5) === 0))
+            return proceed[random(proceed.length)];
+        let others = choices.filter(c => !PROCEED_ACTIONS.includes(c[0]));
+        return others[random(others.length)];
+    };
+}
+
+/**
+ * Plays one game to the end.
+ * @returns {Object} { result, turns, actions, cef_by_turn: [...], events: [...] }
+ */
+function play_game(seed, policies) {
+    let game = rules.setup(seed, "Standard Game", {});
+    let record = { result: null, turns: 0, actions: 0, cef_by_turn: [], events: [] };
+
+    while (game.state !== "game_over") {
+        if (record.actions >= MAX_ACTIONS) {
+            record.result = "Unfinished";
+            break;
+        }
+        let role = game.active;
+        let choice = policies[role](game, role);
+        if (!choice) throw new Error(`No action for ${role} in ${game.state}`);
+
+        let turn = game.turn;
+        let logStart = game.log.length;
+        game = rules.action(game, role, choice[0], choice[1]);
+        record.actions++;
+
+        if (choice[0] === "roll_event") {
+            let result = game.log.slice(logStart).find(line => line.startsWith("Result: "));
+            if (result) record.events.push(result.substring(8));
+        }
+        if (game.turn !== turn || game.state === "game_over") {
+            record.cef_by_turn[turn - 1] = game.cef;
+        }
+    }
+
+    if (game.state === "game_over") record.result = game.result;
+    record.turns = game.turn;
+    return record;
+}
+
+function summarize(records) {
+    let n = records.length;
+    let report = {
+        games: n,
+        results: {},
+        average_turns: 0,
+        average_actions: 0,
+        cef_by_turn: [],
+        events: {},
+    };
+
+    let eventCount = 0;
+    for (let r of records) {
+        report.results[r.result] = (report.results[r.result] || 0) + 1;
+        report.average_turns += r.turns / n;
+        report.average_actions += r.actions / n;
+        r.cef_by_turn.forEach((cef, i) => {
+            let t = report.cef_by_turn[i] || (report.cef_by_turn[i] = { turn: i + 1, games: 0, min: Infinity, max: 0, mean: 0, values: [] });
+            t.games++;
+            t.min = Math.min(t.min, cef);
+            t.max = Math.max(t.max, cef);
+            t.values.push(cef);
+        });
+        for (let e of r.events) {
+            report.events[e] = (report.events[e] || 0) + 1;
+            eventCount++;
+        }
+    }
+
+    for (let t of report.cef_by_turn) {
+        t.values.sort((a, b) => a - b);
+        t.mean = t.values.reduce((a, b) => a + b, 0) / t.games;
+        t.median = t.values[Math.floor(t.games / 2)];
+        delete t.values;
+    }
+    for (let e in report.events) {
+        report.events[e] = { count: report.events[e], share: report.events[e] / eventCount };
+    }
+    return report;
+}
+
+function pct(x) {
+    return (100 * x).toFixed(1) + "%";
+}
+
+function print_report(report, opts) {
+    console.log(`${report.games} games, German: ${opts.german}, Soviet: ${opts.soviet}, seed ${opts.seed}`);
+
+    console.log("\nResults");
+    for (let r of Object.keys(report.results).sort()) {
+        console.log(`  ${r.padEnd(12)} ${String(report.results[r]).padStart(6)}  ${pct(report.results[r] / report.games)}`);
+    }
+
+    console.log(`\nAverage length: ${report.average_turns.toFixed(2)} turns, ${report.average_actions.toFixed(0)} actions`);
+
+    console.log("\nCEF at end of turn");
+    console.log("  turn   games    min  median    mean    max");
+    for (let t of report.cef_by_turn) {
+        console.log(`  ${String(t.turn).padStart(4)} ${String(t.games).padStart(7)} ${String(t.min).padStart(6)} ${String(t.median).padStart(7)} ${t.mean.toFixed(1).padStart(7)} ${String(t.max).padStart(6)}`);
+    }
+
+    console.log("\nEvent table results");
+    for (let e of Object.keys(report.events).sort()) {
+        console.log(`  ${e.padEnd(28)} ${String(report.events[e].count).padStart(6)}  ${pct(report.events[e].share)}`);
+    }
+}
+
+function main() {
+    let opts = parse_args(process.argv.slice(2));
+    let random_policy = make_random_policy(opts.seed);
+    let pick = name => (name === "bot") ? bot.choose_action : random_policy;
+    let policies = { German: pick(opts.german), Soviet: pick(opts.soviet) };
+
+    let records = [];
+    for (let i = 0; i < opts.games; i++) {
+        records.push(play_game(opts.seed + i, policies));
+        if (!opts.json && process.stderr.isTTY) process.stderr.write(`\r${i + 1}/${opts.games}`);
+    }
+    if (!opts.json && process.stderr.isTTY) process.stderr.write("\n");
+
+    let report = summarize(records);
+    if (opts.json) console.log(JSON.stringify(report, null, 2));
+    else print_report(report, opts);
+}
+
+main();